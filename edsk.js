@@ -20,7 +20,7 @@ function hex(n, w = 2) {
 /**
  * DSK / EDSK basics:
  * - Main header: 256 bytes
- * - Standard DSK: track size at 0x32 (2 bytes, size in 256-byte units), same for all tracks
+ * - Standard DSK: track size at 0x32 (2 bytes, size in bytes incl. header), same for all tracks
  * - Extended DSK (EDSK): track size table at 0x34..0xFF (204 bytes),
  *   each entry is 1 byte: size in 256-byte units for each track/side (0 = missing)
  * - Track data blocks follow sequentially, each begins with a 256-byte track header.
@@ -58,9 +58,8 @@ function parseDisk(buf) {
       trackSizeTable[i] = units * 256; // 0 means missing track
     }
   } else {
-    // Standard DSK: single size for all tracks (2 bytes at 0x32, in 256-byte units)
-    const units = readU16LE(buf, 0x32);
-    const size = units * 256;
+    // Standard DSK: single size for all tracks (2 bytes at 0x32, in bytes incl. header)
+    const size = readU16LE(buf, 0x32);
     for (let i = 0; i < count; i++) trackSizeTable[i] = size;
   }
 
@@ -204,20 +203,48 @@ function dumpSector(buf, disk, track, side, sectorId, outPath) {
   console.log(`Wrote ${slice.length} bytes to ${outPath}`);
 }
 
+function convertImage(args) {
+  const [input, output] = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--format');
+  if (!input || !output) return usage();
+
+  const { parseFile } = require('./lib/edsk-parser');
+  const { FORMATS, exportImage } = require('./lib/convert');
+
+  const fi = args.indexOf('--format');
+  const format = (fi !== -1 ? args[fi + 1] : path.extname(output).slice(1)).toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unknown output format: ${format} (use --format edsk|dsk|img)`);
+
+  const { buf, disk } = parseFile(input);
+  const { data, report } = exportImage(buf, disk, format);
+  fs.writeFileSync(output, data);
+  console.log(`Wrote ${data.length} bytes to ${output} (${disk.format} -> ${format.toUpperCase()})`);
+
+  if (report && report.padded.length > 0) {
+    const reportPath = output + '.report.json';
+    fs.writeFileSync(reportPath, JSON.stringify({ source: path.basename(input), ...report }, null, 2));
+    console.log(`${report.padded.length} sector(s) padded or suspect, see ${reportPath}`);
+  }
+}
+
 function usage() {
   console.log(`Usage:
-  node edsk-view.js <image.dsk>
+  node edsk.js <image.dsk>
+
+  node edsk.js <image.dsk> --dump --track <n> --side <n> --sector <id> --out <file>
 
-  node edsk-view.js <image.dsk> --dump --track <n> --side <n> --sector <id> --out <file>
+  node edsk.js convert <input> <output> [--format edsk|dsk|img]
 
 Notes:
   - --sector is the sector "R" id (decimal or hex like 0xC1)
+  - convert picks the output format from the output extension unless --format is given;
+    raw .img output writes <output>.report.json when sectors had to be padded
 `);
 }
 
 function main() {
   const args = process.argv.slice(2);
   if (args.length < 1) return usage();
+  if (args[0] === 'convert') return convertImage(args.slice(1));
 
   const file = args[0];
   const buf = fs.readFileSync(file);
@@ -0,0 +1,33 @@
+'use strict';
+
+const { parseRawImage } = require('./raw-image');
+const { parseBPB } = require('./bpb');
+
+// Amiga disk files (.adf): raw 512-byte blocks, 80 cylinders x 2 heads,
+// sectors numbered from 0. Only the size identifies them; an 880K image with
+// a FAT BPB is left to the raw image reader.
+
+const ADF_SIZES = {
+  901120: 11,  // 880K DD
+  1802240: 22, // 1760K HD
+};
+
+function isADF(buf) {
+  if (!ADF_SIZES[buf.length]) return false;
+  return buf.slice(0, 3).toString('latin1') === 'DOS' || !parseBPB(buf.slice(0, 512));
+}
+
+function parseADF(buf) {
+  if (!isADF(buf)) throw new Error('Not an ADF image');
+  const sectorsPerTrack = ADF_SIZES[buf.length];
+  return parseRawImage(buf, {
+    format: 'ADF',
+    firstSector: 0,
+    geometry: { cylinders: 80, heads: 2, sectorsPerTrack, bytesPerSector: 512, source: 'size' },
+  });
+}
+
+module.exports = {
+  isADF,
+  parseADF,
+};
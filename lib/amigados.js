@@ -0,0 +1,288 @@
+'use strict';
+
+const { createSectorMap } = require('./sector-map');
+
+// AmigaDOS filesystem (OFS / FFS, with the INTL and DIRCACHE variants).
+// Blocks are 512 bytes, numbered cylinder by cylinder, head by head, sector
+// 0..n-1. Block 0-1 is the boot block; the root block sits in the middle of
+// the disk. Directories are hash tables of header blocks chained through
+// hash_chain; files list their data blocks in the header and in extension
+// blocks, both in reverse order.
+
+const BSIZE = 512;
+const HT_SIZE = BSIZE / 4 - 56; // 72 hash slots
+
+const T_HEADER = 2;
+const T_DATA = 8;
+const T_LIST = 16;
+
+const ST_ROOT = 1;
+const ST_USERDIR = 2;
+const ST_SOFTLINK = 3;
+const ST_LINKDIR = 4;
+const ST_FILE = -3;
+const ST_LINKFILE = -4;
+
+// Header block field offsets
+const OFF_HIGH_SEQ = 8;
+const OFF_TABLE = 24;
+const OFF_PROTECT = BSIZE - 192;
+const OFF_BYTE_SIZE = BSIZE - 188;
+const OFF_COMMENT = BSIZE - 184;
+const OFF_DATE = BSIZE - 92;
+const OFF_NAME = BSIZE - 80;
+const OFF_REAL_ENTRY = BSIZE - 44;
+const OFF_HASH_CHAIN = BSIZE - 16;
+const OFF_EXTENSION = BSIZE - 8;
+const OFF_SEC_TYPE = BSIZE - 4;
+
+// Root block dates
+const OFF_ROOT_MODIFIED = BSIZE - 40;
+const OFF_ROOT_CREATED = BSIZE - 28;
+
+// Boot block DOS types (flags byte of "DOS\x")
+const VARIANTS = {
+  0: { name: 'OFS', ffs: false, intl: false, dirCache: false },
+  1: { name: 'FFS', ffs: true, intl: false, dirCache: false },
+  2: { name: 'OFS-INTL', ffs: false, intl: true, dirCache: false },
+  3: { name: 'FFS-INTL', ffs: true, intl: true, dirCache: false },
+  4: { name: 'OFS-DC', ffs: false, intl: true, dirCache: true },
+  5: { name: 'FFS-DC', ffs: true, intl: true, dirCache: true },
+};
+
+// Sectors per track from track 0 (11 for DD, 22 for HD)
+function sectorsPerTrack(disk) {
+  const trk0 = disk.trackIndex.find(t => t.track === 0 && t.side === 0 && !t.missing);
+  return trk0 ? trk0.sectors.length : 0;
+}
+
+// Block number -> 512-byte buffer, or null if the sector is missing
+function blockReader(buf, disk, spt) {
+  const map = createSectorMap(buf, disk, {
+    cylinders: disk.tracks, heads: 2, sectorsPerTrack: spt, bytesPerSector: BSIZE, firstSector: 0,
+  });
+  return (n) => {
+    const sec = map.read(n);
+    return sec.status === 'missing' ? null : sec.data;
+  };
+}
+
+// Normal blocks: all longs sum to zero
+function blockChecksumOk(block) {
+  let sum = 0;
+  for (let i = 0; i < BSIZE; i += 4) sum = (sum + block.readUInt32BE(i)) >>> 0;
+  return sum === 0;
+}
+
+// Boot block: sum with carry over 1024 bytes is 0xFFFFFFFF
+function bootChecksumOk(boot) {
+  let sum = 0;
+  for (let i = 0; i < boot.length; i += 4) {
+    sum += boot.readUInt32BE(i);
+    if (sum > 0xFFFFFFFF) sum = (sum & 0xFFFFFFFF) + 1;
+  }
+  return sum >>> 0 === 0xFFFFFFFF;
+}
+
+// Hash slot of a name; INTL variants also fold Latin-1 accented letters
+function hashName(name, intl) {
+  let h = name.length;
+  for (let i = 0; i < name.length; i++) {
+    let c = name.charCodeAt(i);
+    if (c >= 0x61 && c <= 0x7A) c -= 32;
+    else if (intl && c >= 0xE0 && c <= 0xFE && c !== 0xF7) c -= 32;
+    h = (h * 13 + c) & 0x7FF;
+  }
+  return h % HT_SIZE;
+}
+
+function bcplString(block, off, max) {
+  const len = Math.min(block[off], max);
+  return block.slice(off + 1, off + 1 + len).toString('latin1');
+}
+
+// days since 1978-01-01, minutes, ticks (1/50 s)
+function amigaDate(block, off) {
+  const days = block.readUInt32BE(off);
+  const mins = block.readUInt32BE(off + 4);
+  const d = new Date(Date.UTC(1978, 0, 1) + days * 86400000);
+  return {
+    date: d.toISOString().slice(0, 10),
+    time: `${String(Math.floor(mins / 60) % 24).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`,
+  };
+}
+
+// hspa are set when active, rwed are set when denied
+function protectionString(p) {
+  return ['h', 's', 'p', 'a'].map((c, i) => (p & (0x80 >> i)) ? c : '-').join('') +
+    ['r', 'w', 'e', 'd'].map((c, i) => (p & (0x08 >> i)) ? '-' : c).join('');
+}
+
+// Recognise an AmigaDOS boot block and root block
+function detectAmigaDOS(buf, disk) {
+  const spt = sectorsPerTrack(disk);
+  if (spt !== 11 && spt !== 22) return null;
+  const block = blockReader(buf, disk, spt);
+
+  const b0 = block(0);
+  const b1 = block(1);
+  if (!b0 || b0.slice(0, 3).toString('latin1') !== 'DOS') return null;
+
+  const flags = b0[3];
+  const variant = VARIANTS[flags];
+  if (!variant) {
+    return { type: 'unknown', note: `AmigaDOS variant DOS\\${flags} not supported` };
+  }
+
+  const totalBlocks = disk.tracks * 2 * spt;
+  let rootBlock = b0.readUInt32BE(8);
+  if (rootBlock < 2 || rootBlock >= totalBlocks) rootBlock = Math.floor(totalBlocks / 2);
+  const root = block(rootBlock);
+  if (!root || root.readInt32BE(0) !== T_HEADER || root.readInt32BE(OFF_SEC_TYPE) !== ST_ROOT) return null;
+
+  const stamp = ({ date, time }) => `${date} ${time}`;
+  return {
+    type: 'AmigaDOS',
+    variant: variant.name,
+    ffs: variant.ffs,
+    intl: variant.intl,
+    dirCache: variant.dirCache,
+    volumeLabel: bcplString(root, OFF_NAME, 30),
+    rootBlock,
+    totalBlocks,
+    sectorsPerTrack: spt,
+    bootable: !!b1 && bootChecksumOk(Buffer.concat([b0, b1])),
+    rootChecksumOk: blockChecksumOk(root),
+    created: stamp(amigaDate(root, OFF_ROOT_CREATED)),
+    modified: stamp(amigaDate(root, OFF_ROOT_MODIFIED)),
+  };
+}
+
+// List every file and directory, depth first, with paths like the FAT reader.
+// File entries carry the header block in `cluster` so the download endpoints
+// can address them the same way.
+function readAmigaDirectory(buf, disk, fs_info) {
+  if (fs_info.type !== 'AmigaDOS') return [];
+  const block = blockReader(buf, disk, fs_info.sectorsPerTrack);
+  const visited = new Set();
+
+  function readEntry(ptr, slot) {
+    const b = block(ptr);
+    if (!b) {
+      return { name: `<block ${ptr}>`, isDir: false, size: 0, cluster: 0, block: ptr, date: '', time: '', errors: ['unreadable'], next: 0 };
+    }
+
+    const errors = [];
+    if (!blockChecksumOk(b)) errors.push('checksum');
+    if (b.readInt32BE(0) !== T_HEADER) errors.push('type');
+
+    const name = bcplString(b, OFF_NAME, 30);
+    if (hashName(name, fs_info.intl) !== slot) errors.push('hash');
+
+    const secType = b.readInt32BE(OFF_SEC_TYPE);
+    const protect = b.readUInt32BE(OFF_PROTECT);
+    const entry = {
+      name,
+      isDir: secType === ST_USERDIR || secType === ST_LINKDIR,
+      isHidden: !!(protect & 0x80),
+      isReadOnly: !!(protect & 0x04),
+      attrs: protectionString(protect),
+      size: secType === ST_FILE ? b.readUInt32BE(OFF_BYTE_SIZE) : 0,
+      cluster: secType === ST_FILE ? ptr : 0,
+      block: ptr,
+      comment: bcplString(b, OFF_COMMENT, 79) || undefined,
+      ...amigaDate(b, OFF_DATE),
+      errors,
+      next: b.readUInt32BE(OFF_HASH_CHAIN),
+    };
+
+    if (secType === ST_SOFTLINK) {
+      const target = b.slice(OFF_TABLE, OFF_PROTECT);
+      entry.link = 'soft';
+      entry.linkTarget = target.slice(0, Math.max(0, target.indexOf(0))).toString('latin1');
+    } else if (secType === ST_LINKFILE || secType === ST_LINKDIR) {
+      entry.link = 'hard';
+      entry.linkTarget = b.readUInt32BE(OFF_REAL_ENTRY);
+    }
+    return entry;
+  }
+
+  // Collect a directory's entries from its hash table, sorted by name
+  function readDir(dirBlock) {
+    const hdr = block(dirBlock);
+    if (!hdr) return [];
+    const entries = [];
+    for (let slot = 0; slot < HT_SIZE; slot++) {
+      let ptr = hdr.readUInt32BE(OFF_TABLE + slot * 4);
+      while (ptr && !visited.has(ptr) && ptr < fs_info.totalBlocks) {
+        visited.add(ptr);
+        const entry = readEntry(ptr, slot);
+        entries.push(entry);
+        ptr = entry.next;
+      }
+    }
+    return entries.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+  }
+
+  function walk(dirBlock, prefix) {
+    const result = [];
+    for (const { next, ...entry } of readDir(dirBlock)) {
+      const fullPath = prefix ? prefix + '/' + entry.name : entry.name;
+      result.push({ ...entry, name: fullPath, path: fullPath });
+      if (entry.isDir && !entry.link) result.push(...walk(entry.block, fullPath));
+    }
+    return result;
+  }
+
+  return walk(fs_info.rootBlock, '');
+}
+
+// Read a file's data through its header and extension blocks. Unreadable data
+// blocks come back zero-filled so later bytes stay at the right offsets.
+function readAmigaFileData(buf, disk, fs_info, headerBlock, fileSize) {
+  if (fs_info.type !== 'AmigaDOS') return null;
+  const block = blockReader(buf, disk, fs_info.sectorsPerTrack);
+
+  const hdr = block(headerBlock);
+  if (!hdr || hdr.readInt32BE(0) !== T_HEADER || hdr.readInt32BE(OFF_SEC_TYPE) !== ST_FILE) return null;
+  const byteSize = hdr.readUInt32BE(OFF_BYTE_SIZE);
+
+  // Data block pointers in file order
+  const pointers = [];
+  const seen = new Set();
+  let b = hdr;
+  while (b) {
+    const count = Math.min(b.readUInt32BE(OFF_HIGH_SEQ), HT_SIZE);
+    for (let i = 0; i < count; i++) pointers.push(b.readUInt32BE(OFF_TABLE + (HT_SIZE - 1 - i) * 4));
+    const ext = b.readUInt32BE(OFF_EXTENSION);
+    if (!ext || seen.has(ext)) break;
+    seen.add(ext);
+    b = block(ext);
+    if (b && b.readInt32BE(0) !== T_LIST) break;
+  }
+
+  const payload = fs_info.ffs ? BSIZE : BSIZE - 24;
+  const chunks = [];
+  for (const ptr of pointers) {
+    const d = block(ptr);
+    if (!d) {
+      chunks.push(Buffer.alloc(payload));
+    } else if (fs_info.ffs) {
+      chunks.push(d);
+    } else {
+      // OFS data block: type, header key, sequence, data size, next, checksum
+      const size = d.readInt32BE(0) === T_DATA ? Math.min(d.readUInt32BE(12), payload) : payload;
+      chunks.push(d.slice(24, 24 + size));
+    }
+  }
+
+  const data = Buffer.concat(chunks);
+  return data.slice(0, Math.min(byteSize, fileSize == null ? byteSize : fileSize));
+}
+
+module.exports = {
+  detectAmigaDOS,
+  readAmigaDirectory,
+  readAmigaFileData,
+  hashName,
+};
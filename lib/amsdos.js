@@ -0,0 +1,75 @@
+'use strict';
+
+// AMSDOS file header: 128 bytes in front of BASIC, binary and screen files
+// saved from the CPC (ASCII files have none).
+//   00     user number
+//   01-0B  name and extension, space padded
+//   12     file type: bit 0 protected, bits 1-3 type, bits 4-7 version
+//   15-16  load address
+//   18-19  logical length
+//   1A-1B  entry (execution) address
+//   40-42  file length (24 bits)
+//   43-44  checksum: 16-bit sum of bytes 00-42
+
+const HEADER_SIZE = 128;
+const TYPES = ['BASIC', 'Binary', 'Screen', 'ASCII'];
+
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < 0x43; i++) sum += data[i];
+  return sum & 0xFFFF;
+}
+
+// CP/M stores files in 128-byte records, so a header's length fits when the
+// file is the header plus that length, rounded up to a whole record
+const lengthFits = (fileSize, contentLength) =>
+  HEADER_SIZE + contentLength <= fileSize && fileSize - (HEADER_SIZE + contentLength) < 128;
+
+// Decode the header at the start of a file. A wrong checksum still yields a
+// header when the name and type look like one, flagged checksumOk: false;
+// lengthOk says whether its length agrees with the file size.
+function parseAmsdosHeader(data) {
+  if (!data || data.length < HEADER_SIZE) return null;
+
+  const checksumOk = checksum(data) === data.readUInt16LE(0x43);
+  const typeByte = data[0x12];
+  const type = (typeByte >> 1) & 0x07;
+  const rawName = data.slice(1, 12);
+  if (!checksumOk) {
+    const plausible = data[0] <= 15 && type < TYPES.length &&
+      [...rawName].every(c => c >= 0x20 && c < 0x7F);
+    if (!plausible) return null;
+  }
+
+  const name = rawName.slice(0, 8).toString('latin1').trim();
+  const ext = rawName.slice(8).toString('latin1').trim();
+  const length = data[0x40] | (data[0x41] << 8) | (data[0x42] << 16);
+  return {
+    user: data[0],
+    name: ext ? `${name}.${ext}` : name,
+    type: TYPES[type] || `type ${type}`,
+    protected: !!(typeByte & 0x01),
+    loadAddress: data.readUInt16LE(0x15),
+    execAddress: data.readUInt16LE(0x1A),
+    logicalLength: data.readUInt16LE(0x18),
+    length,
+    checksum: data.readUInt16LE(0x43),
+    checksumOk,
+    lengthOk: lengthFits(data.length, length),
+  };
+}
+
+// File contents after the header, cut to the length the header gives. A
+// header with a bad checksum is only stripped when its length agrees with
+// the file size; otherwise the data is left as it is.
+function stripAmsdosHeader(data) {
+  const header = parseAmsdosHeader(data);
+  if (!header || !(header.checksumOk || header.lengthOk)) return data;
+  return data.slice(HEADER_SIZE, HEADER_SIZE + header.length);
+}
+
+module.exports = {
+  HEADER_SIZE,
+  parseAmsdosHeader,
+  stripAmsdosHeader,
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isAtariBootable } = require('./bpb');
+const { SIGNATURES } = require('./boot-signatures');
+
+// Boot sector analysis for triage. The boot sector is matched against the
+// signatures in boot-signatures.js (system, formatter, known viruses) by its
+// text, byte patterns and OEM name, and x86 code is also checked for what boot viruses do and
+// ordinary boot code never does: take memory off the top of the BIOS memory
+// size at 0000:0413, hook INT 13h at 0000:004C and write sectors back to
+// disk. The boot sector is read directly from the track 0 data, so disks
+// whose BPB a virus has overwritten are still analysed.
+
+const BIOS_MEMORY = 0x0413;
+const INT13_VECTOR = [0x004C, 0x004E];
+
+function hexBytes(s) {
+  return Buffer.from(s.replace(/\s+/g, ''), 'hex');
+}
+
+// Boot sector (or the 1K Amiga boot block) from track 0, side 0. CP/M and
+// +3DOS disks have no PC boot sector to look at; a disk with no recognised
+// filesystem might be one whose BPB was overwritten.
+function readBootSector(buf, disk) {
+  if (!['FAT', 'AmigaDOS', 'unknown', undefined].includes(disk.filesystem?.type)) return null;
+  const trk0 = disk.trackIndex.find(t => t.track === 0 && t.side === 0 && !t.missing);
+  if (!trk0) return null;
+  const readable = trk0.sectors.filter(s => s.dataOffset != null);
+
+  if (disk.filesystem?.type === 'AmigaDOS' || disk.format === 'ADF') {
+    const blocks = [0, 1].map(r => readable.find(s => s.R === r));
+    if (blocks.some(s => !s)) return null;
+    return { data: Buffer.concat(blocks.map(s => buf.slice(s.dataOffset, s.dataOffset + s.size))), sector: blocks[0] };
+  }
+  const sec = readable.find(s => s.R === 1) || readable[0];
+  if (!sec) return null;
+  return { data: buf.slice(sec.dataOffset, sec.dataOffset + Math.min(sec.size, 512)), sector: sec };
+}
+
+function platformOf(data, disk) {
+  if (disk.filesystem?.type === 'AmigaDOS' || disk.format === 'ADF') return 'amiga';
+  if (disk.filesystem?.platform === 'Atari ST') return 'atari';
+  return 'pc';
+}
+
+// Where x86 boot code starts: the jump target, or byte 0 without a jump
+function codeStart(data) {
+  if (data[0] === 0xEB) return 2 + data[1];
+  if (data[0] === 0xE9) return (3 + data.readUInt16LE(1)) & 0xFFFF;
+  return 0;
+}
+
+// Amiga boot block checksum: 32-bit sum with end-around carry is ~0
+function amigaBootable(data) {
+  if (data.length < 1024 || data.slice(0, 3).toString('latin1') !== 'DOS') return false;
+  let sum = 0;
+  for (let i = 0; i < 1024; i += 4) {
+    sum += data.readUInt32BE(i);
+    if (sum > 0xFFFFFFFF) sum -= 0xFFFFFFFF;
+  }
+  return sum === 0xFFFFFFFF;
+}
+
+// Absolute memory words written by x86 code: MOV [addr],AX (A3), and
+// MOV/DEC/SUB with a [disp16] operand (ModRM mod=00 rm=110)
+function absoluteWrites(code) {
+  const writes = new Map();
+  const add = (addr, at) => { if (!writes.has(addr)) writes.set(addr, at); };
+  for (let i = 0; i + 3 <= code.length; i++) {
+    const op = code[i];
+    if (op === 0xA3) add(code.readUInt16LE(i + 1), i);
+    if (i + 4 > code.length || (code[i + 1] & 0xC7) !== 0x06) continue;
+    const reg = (code[i + 1] >> 3) & 7;
+    const addr = code.readUInt16LE(i + 2);
+    if (op === 0x89 || op === 0x8C || op === 0xC7) add(addr, i); // MOV
+    if (op === 0xFF && reg === 1) add(addr, i); // DEC
+    if ((op === 0x83 || op === 0x81) && reg === 5) add(addr, i); // SUB
+  }
+  return writes;
+}
+
+// Behaviour of x86 boot code that points at a virus
+function x86Indicators(code) {
+  const writes = absoluteWrites(code);
+  const found = [];
+  if (writes.has(BIOS_MEMORY)) found.push('lowers the BIOS memory size (0000:0413) to hide in memory');
+  if (INT13_VECTOR.some(a => writes.has(a))) found.push('hooks the INT 13h disk interrupt (0000:004C)');
+  if (code.indexOf(hexBytes('B8 01 03')) >= 0) found.push('writes sectors to disk (INT 13h AX=0301)');
+  return found;
+}
+
+function matches(sig, { data, code, oem, sha1, platform }) {
+  if (sig.platform && sig.platform !== platform) return false;
+  const text = data.toString('latin1');
+  if (sig.strings && !sig.strings.every(s => text.includes(s))) return false;
+  if (sig.bytes && !sig.bytes.every(([off, hex]) => data.slice(off).indexOf(hexBytes(hex)) === 0)) return false;
+  if (sig.code && !sig.code.every(hex => data.indexOf(hexBytes(hex)) >= 0)) return false;
+  if (sig.oem && !sig.oem.test(oem)) return false;
+  if (sig.sha1 && sig.sha1 !== sha1) return false;
+  return !!(sig.strings || sig.bytes || sig.code || sig.oem || sig.sha1);
+}
+
+// Analyse the boot sector of a disk:
+// { platform, location, size, oem, executable, codeOffset, sha1, blank,
+//   system, formatter, viruses: [{ name, via, detail }], indicators,
+//   infected, suspicious }
+function analyzeBootSector(buf, disk) {
+  const boot = readBootSector(buf, disk);
+  if (!boot) return null;
+  const { data, sector } = boot;
+  const platform = platformOf(data, disk);
+
+  let offset = 0;
+  let end = data.length;
+  let executable;
+  if (platform === 'amiga') {
+    offset = 12;
+    executable = amigaBootable(data);
+  } else if (platform === 'atari') {
+    offset = data[0] === 0x60 ? 2 + data[1] : 30;
+    executable = isAtariBootable(data);
+  } else {
+    offset = Math.min(codeStart(data), data.length);
+    end = data.length >= 512 && data[510] === 0x55 && data[511] === 0xAA ? 510 : data.length;
+    // The BIOS runs any sector with the 0x55AA mark; DOS 1.x disks have none
+    executable = end === 510 || [0xEB, 0xE9, 0xEA].includes(data[0]);
+  }
+  const code = data.slice(offset, Math.max(offset, end));
+  const oem = platform === 'amiga' ? '' : data.slice(3, 11).toString('latin1').replace(/[^\x20-\x7E]/g, '').trim();
+  const sha1 = crypto.createHash('sha1').update(code).digest('hex');
+  const blank = code.every(b => b === code[0]);
+
+  const input = { data, code, oem, sha1, platform };
+  const hits = SIGNATURES.filter(sig => matches(sig, input));
+  const viruses = hits.filter(s => s.kind === 'virus').map(s => ({ name: s.name, via: 'signature' }))
+    .filter((v, i, all) => all.findIndex(w => w.name === v.name) === i);
+
+  // Generic detection for x86 code no signature knows
+  const indicators = platform === 'pc' && !blank ? x86Indicators(code) : [];
+  if (!viruses.length && indicators.length >= 2) {
+    viruses.push({ name: 'Unknown boot virus', via: 'heuristic', detail: indicators.join('; ') });
+  }
+  // Executable Atari and Amiga boot code is where their boot viruses live
+  const suspicious = !viruses.length && (indicators.length > 0 ||
+    (platform === 'atari' && executable && !blank) ||
+    (platform === 'amiga' && executable && !blank && !hits.some(s => s.kind === 'os')));
+
+  return {
+    platform,
+    location: { cylinder: 0, head: 0, R: sector.R },
+    size: data.length,
+    oem,
+    executable,
+    codeOffset: offset,
+    sha1,
+    blank,
+    system: hits.find(s => s.kind === 'os')?.name || null,
+    formatter: hits.find(s => s.kind === 'tool')?.name || null,
+    viruses,
+    indicators,
+    infected: viruses.length > 0,
+    suspicious,
+  };
+}
+
+module.exports = {
+  analyzeBootSector,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+// Boot sector signatures. An entry matches when all of its tests pass:
+//   strings  text that appears anywhere in the boot sector
+//   bytes    [offset, 'hex bytes'] at a fixed offset
+//   code     'hex bytes' sequences that appear anywhere in the sector
+//   oem      pattern for the OEM name (bytes 3-10 of a PC boot sector)
+//   sha1     hash of the boot code (from the jump target to the 0x55AA mark),
+//            for boot code that has no text or pattern of its own
+//   platform 'pc' | 'atari' | 'amiga'
+// kind is 'os' (boot code of a system disk), 'tool' (the formatter that
+// wrote the boot sector) or 'virus'.
+
+const SIGNATURES = [
+  // ── Operating systems ──
+  { name: 'Windows 95/98', kind: 'os', platform: 'pc', strings: ['IO      SYS', 'MSDOS   SYS', 'WINBOOT SYS'] },
+  { name: 'Windows 95/98', kind: 'os', platform: 'pc', strings: ['IO      SYS', 'Invalid system disk'] },
+  { name: 'Windows NT/2000/XP', kind: 'os', platform: 'pc', strings: ['NTLDR'] },
+  { name: 'MS-DOS 5.0-6.22', kind: 'os', platform: 'pc', strings: ['IO      SYS', 'MSDOS   SYS', 'Replace and press any key when ready'] },
+  { name: 'MS-DOS 3.x-4.x', kind: 'os', platform: 'pc', strings: ['IO      SYS', 'MSDOS   SYS', 'Replace and strike any key when ready'] },
+  { name: 'MS-DOS', kind: 'os', platform: 'pc', strings: ['IO      SYS', 'MSDOS   SYS'] },
+  { name: 'PC-DOS', kind: 'os', platform: 'pc', strings: ['IBMBIO  COM', 'IBMDOS  COM'] },
+  { name: 'DR-DOS', kind: 'os', platform: 'pc', strings: ['DRBIOS  SYS'] },
+  { name: 'FreeDOS', kind: 'os', platform: 'pc', strings: ['KERNEL  SYS'] },
+  // dosfstools' placeholder boot code at 003Eh, zero-filled up to the 0x55AA mark
+  { name: 'Linux mkdosfs / mkfs.fat (not bootable)', kind: 'os', platform: 'pc', sha1: '66867cd665e0e87c32de0bcb721ecfe91a551bc5' },
+  { name: 'Linux mkdosfs / mkfs.fat (not bootable)', kind: 'os', platform: 'pc', strings: ['This is not a bootable disk'] },
+  { name: 'Atari TOS (disk-based TOS loader)', kind: 'os', platform: 'atari', strings: ['TOS     IMG'] },
+  { name: 'Atari TOS boot loader', kind: 'os', platform: 'atari', bytes: [[2, '4C 6F 61 64 65 72']] },
+  { name: 'AmigaDOS boot block', kind: 'os', platform: 'amiga', strings: ['dos.library'] },
+
+  // ── Formatting tools, by OEM name ──
+  { name: 'Windows 95/98 FORMAT', kind: 'tool', platform: 'pc', oem: /^MSWIN4\.[01]$/ },
+  { name: 'MS-DOS 5.0+ / Windows NT FORMAT', kind: 'tool', platform: 'pc', oem: /^MSDOS5\.0$/ },
+  { name: 'MS-DOS FORMAT', kind: 'tool', platform: 'pc', oem: /^MSDOS\d\.\d$/ },
+  { name: 'PC-DOS FORMAT', kind: 'tool', platform: 'pc', oem: /^IBM {1,2}\d+\.\d+$/ },
+  { name: 'DR-DOS FORMAT', kind: 'tool', platform: 'pc', oem: /^DRDOS/ },
+  { name: 'FreeDOS FORMAT', kind: 'tool', platform: 'pc', oem: /^FRDOS/ },
+  { name: 'Linux mkdosfs / mkfs.fat', kind: 'tool', platform: 'pc', oem: /^(mkdosfs|mkfs\.fat)$/ },
+  { name: 'BSD newfs_msdos', kind: 'tool', platform: 'pc', oem: /^BSD {1,2}4\.4$/ },
+  // Atari disks: the OEM field is bytes 2-7, TOS fills it with 'N' (4Eh)
+  { name: 'Atari TOS FORMAT', kind: 'tool', platform: 'atari', bytes: [[2, '4E 4E 4E 4E 4E 4E']] },
+  { name: 'MS-DOS FORMAT (PC-formatted Atari disk)', kind: 'tool', platform: 'atari', oem: /^MSDOS\d\.\d$/ },
+  { name: 'Linux mkdosfs / mkfs.fat', kind: 'tool', platform: 'atari', oem: /^(mkdosfs|mkfs\.fat)$/ },
+
+  // ── Boot sector viruses ──
+  { name: 'Stoned', kind: 'virus', platform: 'pc', bytes: [[0, 'EA 05 00 C0 07']] },
+  { name: 'Stoned', kind: 'virus', platform: 'pc', strings: ['Your PC is now Stoned'] },
+  { name: 'Stoned (Marijuana)', kind: 'virus', platform: 'pc', strings: ['LEGALISE MARIJUANA'] },
+  { name: 'Michelangelo', kind: 'virus', platform: 'pc', code: ['B4 04 CD 1A', '81 FA 06 03'] },
+  { name: 'Form', kind: 'virus', platform: 'pc', strings: ['The FORM-Virus'] },
+  { name: 'Brain', kind: 'virus', platform: 'pc', strings: ['Welcome to the Dungeon'] },
+  { name: 'Brain', kind: 'virus', platform: 'pc', strings: ['Brain & Amjads'] },
+  { name: 'Disk Killer', kind: 'virus', platform: 'pc', strings: ['Disk Killer'] },
+  { name: 'Joshi', kind: 'virus', platform: 'pc', strings: ['Happy Birthday Joshi'] },
+  { name: 'Parity Boot', kind: 'virus', platform: 'pc', strings: ['PARITY CHECK'] },
+  { name: 'SCA', kind: 'virus', platform: 'amiga', strings: ['Something wonderful has happened'] },
+];
+
+module.exports = {
+  SIGNATURES,
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+// FAT BIOS Parameter Block. Recognised by checking the fields themselves
+// rather than the jump opcode in byte 0: Atari ST boot sectors start with a
+// 68000 BRA (0x60) or junk, and some PC disks have no jump at all.
+
+const POW2 = (v, min, max) => v >= min && v <= max && (v & (v - 1)) === 0;
+
+// Parse and sanity-check a BPB; returns null if the fields don't describe a
+// usable floppy FAT layout
+function parseBPB(boot) {
+  if (!boot || boot.length < 36) return null;
+
+  const bytesPerSector = boot.readUInt16LE(11);
+  const sectorsPerCluster = boot[13];
+  const reservedSectors = boot.readUInt16LE(14);
+  const fatCount = boot[16];
+  const rootEntries = boot.readUInt16LE(17);
+  const totalSectors = boot.readUInt16LE(19) || boot.readUInt32LE(32);
+  const mediaDescriptor = boot[21];
+  const sectorsPerFAT = boot.readUInt16LE(22);
+  const sectorsPerTrack = boot.readUInt16LE(24);
+  const heads = boot.readUInt16LE(26);
+
+  if (!POW2(bytesPerSector, 128, 4096)) return null;
+  if (!POW2(sectorsPerCluster, 1, 128)) return null;
+  if (reservedSectors < 1 || fatCount < 1 || fatCount > 2) return null;
+  if (rootEntries < 1 || sectorsPerFAT < 1 || totalSectors < 1) return null;
+  if (sectorsPerTrack < 1 || sectorsPerTrack > 63) return null;
+  if (heads < 1 || heads > 2) return null;
+
+  // FATs and root directory have to leave room for data
+  const rootSectors = Math.ceil(rootEntries * 32 / bytesPerSector);
+  if (reservedSectors + fatCount * sectorsPerFAT + rootSectors >= totalSectors) return null;
+
+  const bpb = {
+    oem: boot.slice(3, 11).toString('latin1').replace(/[^\x20-\x7E]/g, '').trim(),
+    bytesPerSector,
+    sectorsPerCluster,
+    reservedSectors,
+    fatCount,
+    rootEntries,
+    totalSectors,
+    mediaDescriptor,
+    sectorsPerFAT,
+    sectorsPerTrack,
+    heads,
+    jump: boot[0],
+    volumeLabel: '',
+    fsType: '',
+  };
+
+  // Label and type are only meaningful with the extended boot signature;
+  // otherwise those bytes are boot code
+  if (boot.length >= 62 && boot[38] === 0x29) {
+    bpb.volumeLabel = boot.slice(43, 54).toString('latin1').replace(/\0/g, '').trim();
+    bpb.fsType = boot.slice(54, 62).toString('latin1').replace(/\0/g, '').trim();
+  }
+
+  return bpb;
+}
+
+// Atari ST boot sectors are executable when the big-endian word sum is 0x1234
+function isAtariBootable(boot) {
+  if (!boot || boot.length < 512) return false;
+  let sum = 0;
+  for (let i = 0; i < 512; i += 2) sum = (sum + boot.readUInt16BE(i)) & 0xFFFF;
+  return sum === 0x1234;
+}
+
+module.exports = {
+  parseBPB,
+  isAtariBootable,
+};
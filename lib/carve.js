@@ -0,0 +1,346 @@
+'use strict';
+
+const { fatLayout, fatSectorMap, readFAT12Table, readDeletedFiles } = require('./edsk-parser');
+const { looksLikeText } = require('./file-view');
+
+// File carving for FAT free space. Files start on a cluster boundary, so
+// every free cluster is checked for a known signature. From a start cluster
+// the file is reassembled from the free clusters that follow, skipping
+// clusters in use: DOS hands out the first free clusters, so a fragmented
+// file was written around clusters that were taken at the time (and, if
+// those files still exist, still are). Formats with internal structure (ZIP
+// central directory, GIF blocks, PCX run-length data, OLE2 FAT) are parsed
+// through the reassembled data, which tells whether it came out right.
+//
+// Each result has a confidence from 0 to 100: the format's score when its
+// structure checks out or only its header does, lower when the clusters were
+// not contiguous or ran out, higher when a deleted directory entry with the
+// same start cluster and size confirms it. Free clusters that belong to a
+// deleted file readDeletedFiles can already recover are left alone; an
+// unrecoverable deleted file is rebuilt the same way from its start cluster
+// and size even when no signature is found.
+
+const MAX_FILE = 4 * 1024 * 1024;
+const COM_MAX = 65280;
+
+function u16(d, o) { return o + 2 <= d.length ? d.readUInt16LE(o) : 0; }
+function u32(d, o) { return o + 4 <= d.length ? d.readUInt32LE(o) : 0; }
+
+// Same byte all the way through: zero fill, format filler or erased data
+function uniform(chunk) {
+  for (let i = 1; i < chunk.length; i++) if (chunk[i] !== chunk[0]) return false;
+  return true;
+}
+
+// ZIP: the end of central directory record gives the length; the central
+// directory it points at has to be where it says
+function measureZip(d) {
+  for (let pos = d.indexOf('PK\x05\x06', 4, 'latin1'); pos >= 0; pos = d.indexOf('PK\x05\x06', pos + 1, 'latin1')) {
+    const cdSize = u32(d, pos + 12);
+    const cdOffset = u32(d, pos + 16);
+    if (cdOffset + cdSize !== pos) continue;
+    return { size: pos + 22 + u16(d, pos + 20), verified: u32(d, cdOffset) === 0x02014B50 };
+  }
+  return { size: d.length + 1, verified: false };
+}
+
+// OLE2 compound file (Word, Excel): the highest sector in use in its FAT
+// gives the length; each FAT sector has to be marked as one in the FAT
+function measureOle(d) {
+  const shift = u16(d, 0x1E);
+  if (shift !== 9 && shift !== 12) return null;
+  const ss = 1 << shift;
+  const per = ss / 4;
+  const fatSectors = [];
+  for (let i = 0; i < Math.min(u32(d, 0x2C), 109); i++) fatSectors.push(u32(d, 0x4C + i * 4));
+  if (fatSectors.length === 0) return null;
+  if (fatSectors.some(s => (s + 2) * ss > d.length)) return { size: d.length + 1, verified: false };
+
+  const entry = (i) => d.readUInt32LE((fatSectors[Math.floor(i / per)] + 1) * ss + (i % per) * 4);
+  let last = 0;
+  for (let i = 0; i < fatSectors.length * per; i++) if (entry(i) !== 0xFFFFFFFF) last = i;
+  const verified = fatSectors.every(s => s < fatSectors.length * per && entry(s) === 0xFFFFFFFD);
+  return { size: (last + 2) * ss, verified };
+}
+
+// GIF: walk the blocks to the trailer
+function measureGif(d) {
+  let p = 13;
+  if (d[10] & 0x80) p += 3 << ((d[10] & 0x07) + 1);
+  const subBlocks = () => {
+    while (p < d.length && d[p] !== 0) p += d[p] + 1;
+    p++;
+  };
+  while (p < d.length) {
+    const b = d[p];
+    if (b === 0x3B) return { size: p + 1, verified: true };
+    if (b === 0x21) {
+      p += 2;
+      subBlocks();
+    } else if (b === 0x2C) {
+      const flags = d[p + 9];
+      p += 10;
+      if (flags & 0x80) p += 3 << ((flags & 0x07) + 1);
+      p++; // LZW minimum code size
+      subBlocks();
+    } else {
+      return null;
+    }
+  }
+  return { size: d.length + 1, verified: false };
+}
+
+// BMP: length from the header; verified when it agrees with the pixel data
+// size for uncompressed images
+function measureBmp(d) {
+  const size = u32(d, 2);
+  const dib = u32(d, 14);
+  const w = dib === 12 ? u16(d, 18) : Math.abs(d.readInt32LE(18));
+  const h = dib === 12 ? u16(d, 20) : Math.abs(d.readInt32LE(22));
+  const bpp = dib === 12 ? u16(d, 24) : u16(d, 28);
+  const compression = dib === 12 ? 0 : u32(d, 30);
+  const expected = u32(d, 10) + (((w * bpp + 31) >> 5) * 4) * h;
+  return { size, verified: compression === 0 && Math.abs(expected - size) <= 4 };
+}
+
+// PCX: decode the run-length image data to its end; 256-colour images end
+// with 0x0C and a 768-byte palette
+function measurePcx(d) {
+  const width = u16(d, 8) - u16(d, 4) + 1;
+  const height = u16(d, 10) - u16(d, 6) + 1;
+  const total = u16(d, 66) * d[65] * height;
+  if (width <= 0 || height <= 0 || total <= 0 || total > MAX_FILE * 4) return null;
+
+  let p = 128;
+  let n = 0;
+  while (n < total && p < d.length) {
+    const b = d[p++];
+    if ((b & 0xC0) === 0xC0) {
+      n += b & 0x3F;
+      p++;
+    } else {
+      n++;
+    }
+  }
+  if (n < total) return { size: d.length + 1, verified: false };
+  if (d[1] === 5 && d[3] === 8 && d[65] === 1) {
+    if (d[p] === 0x0C) return { size: p + 769, verified: true };
+  }
+  return { size: p, verified: false };
+}
+
+// MZ executable: pages and bytes in the last page
+function measureMz(d) {
+  const pages = u16(d, 4);
+  const size = (pages - 1) * 512 + (u16(d, 2) || 512);
+  if (pages === 0 || u16(d, 2) > 511 || size < u16(d, 8) * 16 || size > MAX_FILE) return null;
+  return { size, verified: false };
+}
+
+// Text and COM files have no length: they run while the clusters look like
+// more of the same, and end at the first NUL or ^Z
+function measureRun(d, clusterBytes, keep, max) {
+  let end = 0;
+  for (let off = 0; off < Math.min(d.length, max); off += clusterBytes) {
+    const chunk = d.slice(off, off + clusterBytes);
+    if (off > 0 && (!keep(chunk) || uniform(chunk))) break;
+    end = off + chunk.length;
+  }
+  end = Math.min(end, max);
+  return { size: end, verified: false };
+}
+
+function trimText(data, size) {
+  const stop = data.slice(0, size).findIndex(b => b === 0x00 || b === 0x1A);
+  return stop > 0 ? stop : size;
+}
+
+function trimZeros(data, size) {
+  while (size > 0 && data[size - 1] === 0) size--;
+  return size;
+}
+
+// Signatures in the order they're tried. score: [structure verified, header
+// only]; null when the format has no structure to check.
+const FORMATS = [
+  {
+    type: 'ZIP archive', ext: 'zip', score: [95, 60],
+    test: (h) => h.readUInt32LE(0) === 0x04034B50,
+    measure: measureZip,
+  },
+  {
+    type: 'OLE2 document (DOC/XLS)', ext: 'doc', score: [90, 55],
+    test: (h) => h.slice(0, 8).equals(Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])),
+    measure: measureOle,
+  },
+  {
+    type: 'GIF image', ext: 'gif', score: [95, 40],
+    test: (h) => /^GIF8[79]a$/.test(h.slice(0, 6).toString('latin1')),
+    measure: measureGif,
+  },
+  {
+    type: 'BMP image', ext: 'bmp', score: [80, 45],
+    test: (h) => h[0] === 0x42 && h[1] === 0x4D && u32(h, 2) > 26 && u32(h, 2) <= MAX_FILE &&
+      u32(h, 6) === 0 && u32(h, 10) < u32(h, 2) && [12, 40, 52, 56, 108, 124].includes(u32(h, 14)),
+    measure: measureBmp,
+  },
+  {
+    type: 'PCX image', ext: 'pcx', score: [85, 50],
+    test: (h) => h[0] === 0x0A && [0, 2, 3, 4, 5].includes(h[1]) && h[2] === 1 && [1, 2, 4, 8].includes(h[3]) &&
+      h[65] >= 1 && h[65] <= 4 && u16(h, 66) > 0,
+    measure: measurePcx,
+  },
+  {
+    type: 'DOS executable (MZ)', ext: 'exe', score: [null, 55],
+    test: (h) => (h[0] === 0x4D && h[1] === 0x5A) || (h[0] === 0x5A && h[1] === 0x4D),
+    measure: measureMz,
+  },
+  {
+    // A COM file usually opens with a jump over its data
+    type: 'DOS program (COM)', ext: 'com', score: [null, 25],
+    test: (h) => ((h[0] === 0xE9 && u16(h, 1) + 3 < COM_MAX) || (h[0] === 0xEB && h[1] < 0x80)) && !looksLikeText(h),
+    measure: (d, cb) => measureRun(d, cb, (c) => !looksLikeText(c), COM_MAX),
+    trim: trimZeros,
+  },
+  {
+    type: 'Text', ext: 'txt', score: [null, 40],
+    test: (h) => !uniform(h) && looksLikeText(h),
+    measure: (d, cb) => measureRun(d, cb, looksLikeText, MAX_FILE),
+    trim: trimText,
+    continues: true,
+  },
+];
+
+function formatFor(head) {
+  return FORMATS.find(f => f.test(head)) || null;
+}
+
+// Carve the free clusters of a FAT volume. Results, by start cluster:
+// { name, type, ext, cluster, clusters, size, confidence, verified,
+//   fragmented, truncated, deletedPath }
+function carveFreeSpace(buf, disk, fs_info) {
+  if (fs_info.type !== 'FAT') return [];
+
+  const { bps, spc, clusterBytes, dataStart } = fatLayout(fs_info);
+  const map = fatSectorMap(buf, disk, fs_info);
+  const fat = readFAT12Table(map, fs_info);
+  const total = Math.min(fat.length, Math.floor((fs_info.totalSectors - dataStart / bps) / spc) + 2,
+    Math.floor(fs_info.sectorsPerFAT * bps * 2 / 3));
+
+  const cache = new Map();
+  const readCluster = (c) => {
+    if (!cache.has(c)) cache.set(c, map.readBytes(dataStart + (c - 2) * clusterBytes, clusterBytes));
+    return cache.get(c);
+  };
+
+  // Deleted files: recoverable ones keep their clusters, unrecoverable ones
+  // lend their name and size to whatever starts at their first cluster
+  const deleted = readDeletedFiles(buf, disk, fs_info).filter(f => !f.isDir);
+  const taken = new Set();
+  for (const f of deleted.filter(f => f.recoverable)) {
+    for (let c = f.cluster; c < f.cluster + Math.ceil(f.size / clusterBytes); c++) taken.add(c);
+  }
+  const lostAt = new Map();
+  for (const f of deleted.filter(f => !f.recoverable)) if (!lostAt.has(f.cluster)) lostAt.set(f.cluster, f);
+
+  const free = (c) => c >= 2 && c < total && fat[c] === 0 && !taken.has(c);
+
+  // Headers in free space. A text cluster that follows free text (with
+  // only clusters in use between) is more of the same file, not a new one.
+  const headers = new Map();
+  const starts = new Set();
+  let prev = null;
+  for (let c = 2; c < total; c++) {
+    if (!free(c)) continue;
+    const fmt = formatFor(readCluster(c));
+    if (fmt) headers.set(c, fmt);
+    if (fmt && !(fmt.continues && prev === fmt)) starts.add(c);
+    prev = fmt;
+  }
+
+  // Free clusters from `start` on, skipping clusters in use, up to the next
+  // file's header. A file that carries its own length reads through text
+  // and COM lookalikes, which are just as likely to be part of it.
+  function stream(start, maxBytes, sized) {
+    const clusters = [start];
+    for (let c = start + 1; c < total && clusters.length * clusterBytes < maxBytes; c++) {
+      if (!free(c) || consumed.has(c)) continue;
+      if (lostAt.has(c) || (starts.has(c) && !(sized && headers.get(c).trim))) break;
+      clusters.push(c);
+    }
+    return clusters;
+  }
+
+  const consumed = new Set();
+  const results = [];
+  const candidates = [...new Set([...starts, ...[...lostAt.keys()].filter(free)])].sort((a, b) => a - b);
+
+  for (const start of candidates) {
+    if (consumed.has(start)) continue;
+    const lost = lostAt.get(start) || null;
+    const sized = !!lost || (headers.has(start) && !headers.get(start).trim);
+    const clusters = stream(start, lost ? Math.max(lost.size, clusterBytes) : MAX_FILE, sized);
+    const data = Buffer.concat(clusters.map(readCluster));
+
+    const m = headers.has(start) ? headers.get(start).measure(data, clusterBytes) : null;
+    if (!m && !lost) continue;
+    const fmt = m ? headers.get(start) : null;
+
+    let size;
+    let score;
+    if (fmt) {
+      score = (m.verified && fmt.score[0]) || fmt.score[1];
+      size = m.size;
+      // Without a length of its own, a text or COM file takes the length
+      // from its directory entry when there is one
+      if (fmt.trim) size = lost ? lost.size : fmt.trim(data, Math.min(size, data.length));
+    } else {
+      // Deleted entry with no recognisable header: rebuild it by its size
+      size = lost.size;
+      score = 30;
+    }
+    if (size <= 0) continue;
+
+    const truncated = size > data.length;
+    if (truncated) size = data.length;
+    const used = clusters.slice(0, Math.ceil(size / clusterBytes));
+    const fragmented = used.some((c, i) => i > 0 && c !== used[i - 1] + 1);
+
+    let confidence = score;
+    if (fragmented) confidence *= 0.75;
+    if (truncated) confidence *= 0.5;
+    if (fmt && !fmt.trim && lost?.size === size) confidence = Math.min(99, confidence + 10);
+
+    used.forEach(c => consumed.add(c));
+    const ext = fmt ? fmt.ext : (lost.name.match(/\.([^./]+)$/)?.[1] || 'bin').toLowerCase();
+    results.push({
+      name: lost ? lost.name.split('/').pop() : `carved-${String(start).padStart(4, '0')}.${ext}`,
+      type: fmt ? fmt.type : 'Deleted file (reassembled by size)',
+      ext,
+      cluster: start,
+      clusters: used,
+      size,
+      confidence: Math.round(confidence),
+      verified: !!m?.verified,
+      fragmented,
+      truncated,
+      deletedPath: lost ? lost.path : null,
+    });
+  }
+  return results;
+}
+
+// Bytes of the carved file that starts at `cluster`, with its result entry
+function readCarvedFile(buf, disk, fs_info, cluster) {
+  const item = carveFreeSpace(buf, disk, fs_info).find(r => r.cluster === cluster);
+  if (!item) return null;
+  const { clusterBytes, dataStart } = fatLayout(fs_info);
+  const map = fatSectorMap(buf, disk, fs_info);
+  const data = Buffer.concat(item.clusters.map(c => map.readBytes(dataStart + (c - 2) * clusterBytes, clusterBytes)));
+  return { item, data: data.slice(0, item.size) };
+}
+
+module.exports = {
+  carveFreeSpace,
+  readCarvedFile,
+};
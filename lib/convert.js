@@ -0,0 +1,66 @@
+'use strict';
+
+const { writeDisk } = require('./edsk-writer');
+const { createSectorMap, diskGeometry } = require('./sector-map');
+
+const FORMATS = ['edsk', 'dsk', 'img'];
+const EXTENSIONS = { edsk: '.edsk', dsk: '.dsk', img: '.img' };
+
+// Build a raw sector image in cylinder/head/R order. Sectors that had to be
+// made up (missing), cut short (truncated), were read with a CRC error or
+// carry another track's C/H (id-mismatch) are listed in the report; data that
+// was read is kept as read.
+function buildRawImage(buf, disk) {
+  const geo = diskGeometry(disk);
+  if (!geo) throw new Error('No sectors to export');
+
+  const map = createSectorMap(buf, disk, geo);
+  const { data, sectors } = map.readSectors(0, map.totalSectors);
+  const padded = [];
+
+  for (const s of sectors) {
+    const where = { track: s.cylinder, side: s.head, r: s.R, lba: s.lba };
+    if (s.status === 'missing') {
+      padded.push({ ...where, reason: 'missing' });
+    } else if (s.source.truncated || s.bytes < geo.bytesPerSector) {
+      padded.push({ ...where, reason: 'truncated', bytes: s.bytes });
+    } else if (s.status !== 'found') {
+      padded.push({ ...where, reason: s.status });
+    }
+  }
+
+  return { data, report: { geometry: geo, sectors: sectors.length, padded } };
+}
+
+// Convert a parsed disk to the requested format ('edsk' | 'dsk' | 'img').
+// Returns { data, report } — report is only set for raw image output.
+function exportImage(buf, disk, format) {
+  format = String(format || '').toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+
+  if (format === 'img') return buildRawImage(buf, disk);
+  return { data: writeDisk(buf, disk, { format: format.toUpperCase() }), report: null };
+}
+
+// Output filename for an export: same base name, new extension
+function exportName(name, format) {
+  return name.replace(/\.[^.]+$/, '') + EXTENSIONS[format];
+}
+
+// File contents and name to save an edited image under. EDSK/DSK go back
+// through the writer; raw sector images (IMG, ST, ADF) are the buffer itself,
+// since their sectors are edited in place. Formats that can't be written
+// (flux, IMD, TD0, MSA) are saved as an EDSK next to the original.
+function serializeImage(buf, disk, name) {
+  if (disk.format === 'EDSK' || disk.format === 'DSK') return { data: writeDisk(buf, disk), name };
+  if (disk.format === 'IMG' || disk.format === 'ADF') return { data: buf, name };
+  return { data: writeDisk(buf, disk, { format: 'EDSK' }), name: exportName(name, 'edsk') };
+}
+
+module.exports = {
+  FORMATS,
+  exportImage,
+  exportName,
+  serializeImage,
+  buildRawImage,
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const { createSectorMap } = require('./sector-map');
+
+// CP/M 2.2 filesystem as written by AMSDOS on the Amstrad CPC.
+// The disk parameters aren't stored on the disk, so the format is recognised
+// from the lowest sector ID on track 0:
+//   Data    R=C1..C9, no reserved tracks
+//   System  R=41..49, 2 reserved tracks (CP/M boot and CCP)
+//   IBM     R=01..08, 1 reserved track
+// Directory entries are 32 bytes: user number (E5 = free), 8+3 name with
+// attribute bits in bit 7 (t1 read-only, t2 system, t3 archive), extent number
+// low (EX) and high (S2), record count (RC, 128-byte records in the last
+// logical extent) and 16 allocation block numbers (8 of 16 bits on disks with
+// more than 256 blocks). A file larger than one entry covers continues in
+// further entries with higher extent numbers.
+
+// Filesystems laid out as a CP/M 2.2 directory and allocation blocks; +3DOS
+// describes its geometry in the boot sector instead of by sector IDs
+const CPM_FAMILY = ['CP/M', '+3DOS'];
+
+const RECORD = 128;
+const EXTENT_BYTES = 16384; // one logical extent, 128 records
+const FREE = 0xE5;
+
+// AMSDOS disk parameter blocks: 40 tracks, 512-byte sectors, 1K blocks and
+// 64 directory entries in blocks 0-1
+const FORMATS = {
+  Data: { firstSector: 0xC1, sectorsPerTrack: 9, reservedTracks: 0, totalBlocks: 180 },
+  System: { firstSector: 0x41, sectorsPerTrack: 9, reservedTracks: 2, totalBlocks: 171 },
+  IBM: { firstSector: 0x01, sectorsPerTrack: 8, reservedTracks: 1, totalBlocks: 156 },
+};
+
+function cpmInfo(format) {
+  return {
+    type: 'CP/M',
+    format,
+    platform: 'Amstrad CPC',
+    ...FORMATS[format],
+    bytesPerSector: 512,
+    heads: 1,
+    blockSize: 1024,
+    dirEntries: 64,
+  };
+}
+
+function isCpmFamily(fs_info) {
+  return CPM_FAMILY.includes(fs_info?.type);
+}
+
+// Sector map for the volume; LBA 0 is the first sector of logical track 0.
+// Double-sided formats either alternate sides or fill side 0 first.
+function cpmSectorMap(buf, disk, fs_info) {
+  return createSectorMap(buf, disk, {
+    cylinders: fs_info.tracksPerSide || disk.tracks,
+    heads: fs_info.heads,
+    sectorsPerTrack: fs_info.sectorsPerTrack,
+    bytesPerSector: fs_info.bytesPerSector,
+    firstSector: fs_info.firstSector,
+    sideOrder: fs_info.sideOrder,
+  });
+}
+
+// First LBA and sector count of an allocation block
+function blockSectors(fs_info, block) {
+  const perBlock = fs_info.blockSize / fs_info.bytesPerSector;
+  return [fs_info.reservedTracks * fs_info.sectorsPerTrack + block * perBlock, perBlock];
+}
+
+function readBlock(map, fs_info, block) {
+  return map.readSectors(...blockSectors(fs_info, block));
+}
+
+function dirBlocks(fs_info) {
+  return Math.ceil(fs_info.dirEntries * 32 / fs_info.blockSize);
+}
+
+// Raw directory entries in use (user 0-15)
+function readDirEntries(map, fs_info) {
+  const chunks = [];
+  for (let b = 0; b < dirBlocks(fs_info); b++) chunks.push(readBlock(map, fs_info, b).data);
+  const dir = Buffer.concat(chunks);
+  const wide = fs_info.totalBlocks > 256;
+  const entries = [];
+
+  for (let i = 0; i < fs_info.dirEntries; i++) {
+    const e = dir.slice(i * 32, i * 32 + 32);
+    if (e[0] === FREE || e[0] > 15) continue;
+    const raw = [...e.slice(1, 12)].map(c => c & 0x7F);
+    if (raw.some(c => c < 0x20 || c === 0x7F)) continue;
+
+    const blocks = [];
+    for (let k = 0; k < 16; k += wide ? 2 : 1) blocks.push(wide ? e.readUInt16LE(16 + k) : e[16 + k]);
+
+    const name = String.fromCharCode(...raw.slice(0, 8)).trim();
+    const ext = String.fromCharCode(...raw.slice(8)).trim();
+    entries.push({
+      index: i,
+      user: e[0],
+      name: ext ? `${name}.${ext}` : name,
+      readOnly: !!(e[9] & 0x80),
+      system: !!(e[10] & 0x80),
+      archive: !!(e[11] & 0x80),
+      extent: (e[14] & 0x3F) * 32 + (e[12] & 0x1F),
+      records: e[15],
+      blocks,
+    });
+  }
+  return entries;
+}
+
+// Group directory entries into files: allocation blocks in file order and
+// the size in bytes (whole records)
+function collectFiles(map, fs_info) {
+  const wide = fs_info.totalBlocks > 256;
+  const blocksPerEntry = wide ? 8 : 16;
+  const extentMask = blocksPerEntry * fs_info.blockSize / EXTENT_BYTES - 1;
+  const files = new Map();
+
+  for (const e of readDirEntries(map, fs_info)) {
+    const key = `${e.user}:${e.name}`;
+    const file = files.get(key) || { user: e.user, name: e.name, blocks: [], last: null };
+    if (e.extent === 0 || !files.has(key)) Object.assign(file, { readOnly: e.readOnly, system: e.system, archive: e.archive });
+
+    const base = (e.extent & ~extentMask) * EXTENT_BYTES / fs_info.blockSize;
+    e.blocks.forEach((b, i) => { if (b) file.blocks[base + i] = b; });
+    if (!file.last || e.extent > file.last.extent) file.last = e;
+    files.set(key, file);
+  }
+
+  for (const file of files.values()) {
+    file.size = (file.last.extent * RECORD + file.last.records) * RECORD;
+    file.blocks = file.blocks.slice(0, Math.ceil(file.size / fs_info.blockSize));
+    file.firstBlock = file.blocks.find(b => b) || 0;
+  }
+  return [...files.values()];
+}
+
+// List files with user areas 1-15 as USERn directories. File entries carry
+// their first allocation block in `cluster` so the download endpoints can
+// address them the same way as FAT files.
+function readCpmDirectory(buf, disk, fs_info) {
+  if (!isCpmFamily(fs_info)) return [];
+  const map = cpmSectorMap(buf, disk, fs_info);
+  const files = collectFiles(map, fs_info);
+
+  // Blocks claimed by more than one file
+  const owners = new Map();
+  for (const f of files) for (const b of f.blocks) if (b) owners.set(b, (owners.get(b) || 0) + 1);
+
+  const byUser = new Map();
+  for (const f of files) {
+    const errors = new Set();
+    for (const b of f.blocks) {
+      if (b === undefined) continue;
+      if (b < dirBlocks(fs_info) || b >= fs_info.totalBlocks) { errors.add('block-range'); continue; }
+      if (owners.get(b) > 1) errors.add('cross-linked');
+      for (const s of readBlock(map, fs_info, b).sectors) if (s.status !== 'found') errors.add(s.status);
+    }
+
+    const path = f.user ? `USER${f.user}/${f.name}` : f.name;
+    const list = byUser.get(f.user) || [];
+    list.push({
+      name: path,
+      path,
+      shortName: f.name,
+      user: f.user,
+      isDir: false,
+      isHidden: f.system,
+      isSystem: f.system,
+      isReadOnly: f.readOnly,
+      attrs: (f.readOnly ? 'R' : '-') + (f.system ? 'S' : '-') + (f.archive ? 'A' : '-'),
+      size: f.size,
+      cluster: f.firstBlock,
+      date: '',
+      time: '',
+      errors: [...errors],
+    });
+    byUser.set(f.user, list);
+  }
+
+  const result = [];
+  for (const user of [...byUser.keys()].sort((a, b) => a - b)) {
+    if (user) {
+      const dir = `USER${user}`;
+      result.push({ name: dir, path: dir, user, isDir: true, size: 0, cluster: 0, date: '', time: '', attrs: '---', errors: [] });
+    }
+    result.push(...byUser.get(user).sort((a, b) => a.shortName.localeCompare(b.shortName)));
+  }
+  return result;
+}
+
+// Rebuild a file from its allocation blocks; the file is found by its first
+// block. Blocks that aren't allocated (sparse files) read as zeros.
+function readCpmFileData(buf, disk, fs_info, firstBlock, fileSize) {
+  if (!isCpmFamily(fs_info)) return null;
+  const map = cpmSectorMap(buf, disk, fs_info);
+  const file = collectFiles(map, fs_info).find(f => f.firstBlock === firstBlock);
+  if (!file) return null;
+
+  const chunks = [];
+  for (let i = 0; i < file.blocks.length; i++) {
+    const b = file.blocks[i];
+    chunks.push(b && b < fs_info.totalBlocks ? readBlock(map, fs_info, b).data : Buffer.alloc(fs_info.blockSize));
+  }
+  const data = Buffer.concat(chunks);
+  return data.slice(0, Math.min(file.size, fileSize == null ? file.size : fileSize));
+}
+
+// Recognise an AMSDOS format from the track 0 sector IDs. Any disk with
+// sectors 1-8 matches IBM, so that one also needs a plausible directory.
+function detectCPM(buf, disk) {
+  const trk0 = disk.trackIndex.find(t => t.track === 0 && t.side === 0 && !t.missing);
+  if (!trk0 || trk0.sectors.length === 0) return null;
+
+  const first = Math.min(...trk0.sectors.map(s => s.R));
+  const format = Object.keys(FORMATS).find(k => FORMATS[k].firstSector === first);
+  if (!format) return null;
+  const fs_info = cpmInfo(format);
+  if (format !== 'IBM') return fs_info;
+
+  if (trk0.sectors.length !== fs_info.sectorsPerTrack || trk0.sectors.some(s => s.size !== 512)) return null;
+  const map = cpmSectorMap(buf, disk, fs_info);
+  const [lba, count] = blockSectors(fs_info, 0);
+  const dir = map.readSectors(lba, count * dirBlocks(fs_info));
+  if (dir.sectors.some(s => s.status === 'missing')) return null;
+  for (let i = 0; i < fs_info.dirEntries; i++) {
+    const e = dir.data.slice(i * 32, i * 32 + 32);
+    if (e[0] === FREE) continue;
+    if (e[0] > 15 || [...e.slice(1, 12)].some(c => (c & 0x7F) < 0x20)) return null;
+  }
+  return fs_info;
+}
+
+module.exports = {
+  FORMATS,
+  isCpmFamily,
+  detectCPM,
+  readCpmDirectory,
+  readCpmFileData,
+};
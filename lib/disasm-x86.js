@@ -0,0 +1,246 @@
+'use strict';
+
+// 16-bit x86 instruction decoder (8086/80186 integer set, the code found in
+// PC boot sectors and DOS programs). decode() returns one instruction:
+//   { length, text, target, flow }
+// target is the linear address of a jump or call, flow says how execution
+// continues: 'next', 'branch' (conditional), 'jump', 'call', 'return' or
+// 'stop' (indirect jump or an interrupt that does not return). Returns null
+// when the bytes run out mid-instruction or the opcode is not valid.
+
+const REG8 = ['al', 'cl', 'dl', 'bl', 'ah', 'ch', 'dh', 'bh'];
+const REG16 = ['ax', 'cx', 'dx', 'bx', 'sp', 'bp', 'si', 'di'];
+const SEG = ['es', 'cs', 'ss', 'ds'];
+const EA = ['bx+si', 'bx+di', 'bp+si', 'bp+di', 'si', 'di', 'bp', 'bx'];
+const ALU = ['add', 'or', 'adc', 'sbb', 'and', 'sub', 'xor', 'cmp'];
+const SHIFT = ['rol', 'ror', 'rcl', 'rcr', 'shl', 'shr', 'sal', 'sar'];
+const GROUP3 = ['test', 'test', 'not', 'neg', 'mul', 'imul', 'div', 'idiv'];
+const JCC = ['jo', 'jno', 'jb', 'jnb', 'jz', 'jnz', 'jbe', 'ja', 'js', 'jns', 'jp', 'jnp', 'jl', 'jge', 'jle', 'jg'];
+const SIMPLE = {
+  0x27: 'daa', 0x2F: 'das', 0x37: 'aaa', 0x3F: 'aas', 0x60: 'pusha', 0x61: 'popa',
+  0x90: 'nop', 0x98: 'cbw', 0x99: 'cwd', 0x9B: 'wait', 0x9C: 'pushf', 0x9D: 'popf',
+  0x9E: 'sahf', 0x9F: 'lahf', 0xA4: 'movsb', 0xA5: 'movsw', 0xA6: 'cmpsb', 0xA7: 'cmpsw',
+  0xAA: 'stosb', 0xAB: 'stosw', 0xAC: 'lodsb', 0xAD: 'lodsw', 0xAE: 'scasb', 0xAF: 'scasw',
+  0x6C: 'insb', 0x6D: 'insw', 0x6E: 'outsb', 0x6F: 'outsw',
+  0xC9: 'leave', 0xCC: 'int3', 0xCE: 'into', 0xD7: 'xlatb', 0xF4: 'hlt', 0xF5: 'cmc',
+  0xF8: 'clc', 0xF9: 'stc', 0xFA: 'cli', 0xFB: 'sti', 0xFC: 'cld', 0xFD: 'std',
+};
+// Interrupts that never come back: boot failure, reboot, DOS terminate
+const NO_RETURN = [0x18, 0x19, 0x20];
+
+// Hex in assembler notation: 7C00h, 0FFh
+function hex(n, digits = 2) {
+  const s = n.toString(16).toUpperCase().padStart(digits, '0') + 'h';
+  return /^[A-F]/.test(s) ? '0' + s : s;
+}
+
+function signedHex(n) {
+  return n < 0 ? '-' + hex(-n) : '+' + hex(n);
+}
+
+function decode(data, pos, addr, name = (a) => hex(a, 4)) {
+  let p = pos;
+  let short = false;
+  const byte = () => {
+    if (p >= data.length) { short = true; return 0; }
+    return data[p++];
+  };
+  const word = () => byte() | (byte() << 8);
+  const sbyte = () => { const b = byte(); return b < 0x80 ? b : b - 0x100; };
+  const sword = () => { const w = word(); return w < 0x8000 ? w : w - 0x10000; };
+
+  let seg = null;
+  const prefixes = [];
+  let op = byte();
+  for (let i = 0; i < 4; i++) {
+    if ([0x26, 0x2E, 0x36, 0x3E].includes(op)) seg = SEG[(op >> 3) & 3];
+    else if (op === 0xF0) prefixes.push('lock');
+    else if (op === 0xF2) prefixes.push('repne');
+    else if (op === 0xF3) prefixes.push('rep');
+    else break;
+    op = byte();
+  }
+
+  // ModRM operand: register, or memory with an optional size keyword
+  let modrm = null;
+  const readModrm = () => {
+    const m = byte();
+    modrm = { mod: m >> 6, reg: (m >> 3) & 7, rm: m & 7 };
+    return modrm;
+  };
+  const rmOperand = (wide, sized = false) => {
+    const { mod, rm } = modrm;
+    if (mod === 3) return (wide ? REG16 : REG8)[rm];
+    let inner;
+    if (mod === 0 && rm === 6) inner = hex(word(), 4);
+    else if (mod === 0) inner = EA[rm];
+    else if (mod === 1) { const d = sbyte(); inner = d ? EA[rm] + signedHex(d) : EA[rm]; }
+    else { const d = word(); inner = d ? EA[rm] + '+' + hex(d, 4) : EA[rm]; }
+    const size = sized ? (wide ? 'word ' : 'byte ') : '';
+    return `${size}[${seg ? seg + ':' : ''}${inner}]`;
+  };
+  const regOperand = (wide) => (wide ? REG16 : REG8)[modrm.reg];
+  const memOperand = () => `[${seg ? seg + ':' : ''}${hex(word(), 4)}]`;
+
+  let text = null;
+  let target = null;
+  let flow = 'next';
+  // Relative branches wrap around within the 64K segment of the instruction
+  const relative = (rel, mnemonic, how) => {
+    const base = addr - (addr & 0xFFFF);
+    target = base + ((addr + (p - pos) + rel) & 0xFFFF);
+    text = `${mnemonic} ${name(target)}`;
+    flow = how;
+  };
+
+  if (op < 0x40 && (op & 7) < 6) {
+    // ALU: Eb,Gb  Ev,Gv  Gb,Eb  Gv,Ev  AL,Ib  AX,Iv
+    const alu = ALU[op >> 3];
+    const wide = op & 1;
+    switch (op & 7) {
+      case 0: case 1: readModrm(); text = `${alu} ${rmOperand(wide)}, ${regOperand(wide)}`; break;
+      case 2: case 3: readModrm(); text = `${alu} ${regOperand(wide)}, ${rmOperand(wide)}`; break;
+      case 4: text = `${alu} al, ${hex(byte())}`; break;
+      case 5: text = `${alu} ax, ${hex(word(), 4)}`; break;
+    }
+  } else if (op < 0x20 && (op & 7) >= 6) {
+    if (op === 0x0F) return null;
+    text = `${op & 1 ? 'pop' : 'push'} ${SEG[op >> 3]}`;
+  } else if (SIMPLE[op]) {
+    text = SIMPLE[op];
+  } else if (op >= 0x40 && op < 0x60) {
+    text = `${['inc', 'dec', 'push', 'pop'][(op >> 3) & 3]} ${REG16[op & 7]}`;
+  } else if (op >= 0x70 && op < 0x80) {
+    const rel = sbyte();
+    relative(rel, JCC[op & 0x0F], 'branch');
+  } else if (op >= 0x91 && op < 0x98) {
+    text = `xchg ax, ${REG16[op & 7]}`;
+  } else if (op >= 0xB0 && op < 0xB8) {
+    text = `mov ${REG8[op & 7]}, ${hex(byte())}`;
+  } else if (op >= 0xB8 && op < 0xC0) {
+    text = `mov ${REG16[op & 7]}, ${hex(word(), 4)}`;
+  } else if (op >= 0xD8 && op < 0xE0) {
+    readModrm();
+    text = `esc ${hex(((op & 7) << 3) | modrm.reg)}, ${rmOperand(true)}`;
+  } else {
+    switch (op) {
+      case 0x68: text = `push ${hex(word(), 4)}`; break;
+      case 0x6A: text = `push ${hex(byte())}`; break;
+      case 0x69: case 0x6B: {
+        readModrm();
+        const dst = regOperand(true);
+        const src = rmOperand(true);
+        text = `imul ${dst}, ${src}, ${op === 0x69 ? hex(word(), 4) : hex(byte())}`;
+        break;
+      }
+      case 0x80: case 0x81: case 0x82: case 0x83: {
+        readModrm();
+        const dst = rmOperand(op & 1, true);
+        const imm = op === 0x81 ? hex(word(), 4) : op === 0x83 ? hex(sbyte() & 0xFFFF, 4) : hex(byte());
+        text = `${ALU[modrm.reg]} ${dst}, ${imm}`;
+        break;
+      }
+      case 0x84: case 0x85: readModrm(); text = `test ${rmOperand(op & 1)}, ${regOperand(op & 1)}`; break;
+      case 0x86: case 0x87: readModrm(); text = `xchg ${rmOperand(op & 1)}, ${regOperand(op & 1)}`; break;
+      case 0x88: case 0x89: readModrm(); text = `mov ${rmOperand(op & 1)}, ${regOperand(op & 1)}`; break;
+      case 0x8A: case 0x8B: readModrm(); text = `mov ${regOperand(op & 1)}, ${rmOperand(op & 1)}`; break;
+      case 0x8C: readModrm(); text = `mov ${rmOperand(true)}, ${SEG[modrm.reg & 3]}`; break;
+      case 0x8D: readModrm(); text = `lea ${regOperand(true)}, ${rmOperand(true)}`; break;
+      case 0x8E: readModrm(); text = `mov ${SEG[modrm.reg & 3]}, ${rmOperand(true)}`; break;
+      case 0x8F: readModrm(); text = `pop ${rmOperand(true, true)}`; break;
+      case 0x9A: case 0xEA: {
+        const off = word();
+        const segment = word();
+        target = segment * 16 + off;
+        text = `${op === 0x9A ? 'call' : 'jmp'} far ${hex(segment, 4)}:${hex(off, 4)}`;
+        flow = op === 0x9A ? 'call' : 'jump';
+        break;
+      }
+      case 0xA0: text = `mov al, ${memOperand()}`; break;
+      case 0xA1: text = `mov ax, ${memOperand()}`; break;
+      case 0xA2: text = `mov ${memOperand()}, al`; break;
+      case 0xA3: text = `mov ${memOperand()}, ax`; break;
+      case 0xA8: text = `test al, ${hex(byte())}`; break;
+      case 0xA9: text = `test ax, ${hex(word(), 4)}`; break;
+      case 0xC0: case 0xC1: case 0xD0: case 0xD1: case 0xD2: case 0xD3: {
+        readModrm();
+        const dst = rmOperand(op & 1, true);
+        const count = op <= 0xC1 ? hex(byte()) : op <= 0xD1 ? '1' : 'cl';
+        text = `${SHIFT[modrm.reg]} ${dst}, ${count}`;
+        break;
+      }
+      case 0xC2: text = `ret ${hex(word(), 4)}`; flow = 'return'; break;
+      case 0xC3: text = 'ret'; flow = 'return'; break;
+      case 0xCA: text = `retf ${hex(word(), 4)}`; flow = 'return'; break;
+      case 0xCB: text = 'retf'; flow = 'return'; break;
+      case 0xCF: text = 'iret'; flow = 'return'; break;
+      case 0xC4: case 0xC5: readModrm(); text = `${op === 0xC4 ? 'les' : 'lds'} ${regOperand(true)}, ${rmOperand(true)}`; break;
+      case 0xC6: case 0xC7: {
+        readModrm();
+        const dst = rmOperand(op & 1, true);
+        text = `mov ${dst}, ${op & 1 ? hex(word(), 4) : hex(byte())}`;
+        break;
+      }
+      case 0xC8: { const size = word(); text = `enter ${hex(size, 4)}, ${hex(byte())}`; break; }
+      case 0xCD: {
+        const n = byte();
+        text = `int ${hex(n)}`;
+        if (NO_RETURN.includes(n)) flow = 'stop';
+        break;
+      }
+      case 0xD4: text = `aam ${hex(byte())}`; break;
+      case 0xD5: text = `aad ${hex(byte())}`; break;
+      case 0xE0: case 0xE1: case 0xE2: case 0xE3: {
+        const rel = sbyte();
+        relative(rel, ['loopne', 'loope', 'loop', 'jcxz'][op & 3], 'branch');
+        break;
+      }
+      case 0xE4: text = `in al, ${hex(byte())}`; break;
+      case 0xE5: text = `in ax, ${hex(byte())}`; break;
+      case 0xE6: text = `out ${hex(byte())}, al`; break;
+      case 0xE7: text = `out ${hex(byte())}, ax`; break;
+      case 0xE8: { const rel = sword(); relative(rel, 'call', 'call'); break; }
+      case 0xE9: { const rel = sword(); relative(rel, 'jmp', 'jump'); break; }
+      case 0xEB: { const rel = sbyte(); relative(rel, 'jmp short', 'jump'); break; }
+      case 0xEC: text = 'in al, dx'; break;
+      case 0xED: text = 'in ax, dx'; break;
+      case 0xEE: text = 'out dx, al'; break;
+      case 0xEF: text = 'out dx, ax'; break;
+      case 0xF6: case 0xF7: {
+        readModrm();
+        const dst = rmOperand(op & 1, true);
+        text = modrm.reg < 2 ? `test ${dst}, ${op & 1 ? hex(word(), 4) : hex(byte())}` : `${GROUP3[modrm.reg]} ${dst}`;
+        break;
+      }
+      case 0xFE: {
+        readModrm();
+        if (modrm.reg > 1) return null;
+        text = `${modrm.reg ? 'dec' : 'inc'} ${rmOperand(false, true)}`;
+        break;
+      }
+      case 0xFF: {
+        readModrm();
+        const { reg } = modrm;
+        if (reg === 7) return null;
+        const far = reg === 3 || reg === 5;
+        const operand = far ? 'far ' + rmOperand(true) : rmOperand(true, reg < 2 || reg === 6);
+        text = `${['inc', 'dec', 'call', 'call', 'jmp', 'jmp', 'push'][reg]} ${operand}`;
+        if (reg === 4 || reg === 5) flow = 'stop';
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+
+  if (short) return null;
+  if (prefixes.length) text = prefixes.join(' ') + ' ' + text;
+  // A segment override with nothing to apply to (e.g. before a string op)
+  if (seg && !text.includes(seg + ':')) text = `${seg}: ${text}`;
+  return { length: p - pos, text, target, flow };
+}
+
+module.exports = {
+  decode,
+  hex,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+const { hex } = require('./disasm-x86');
+
+// Z80 instruction decoder (Amstrad CPC, ZX Spectrum +3, PCW), including the
+// CB, ED and IX/IY prefixed sets and the undocumented IXH/IXL forms. Opcodes
+// are split into fields the way the Z80 decodes them: x = bits 7-6,
+// y = bits 5-3, z = bits 2-0, p = y >> 1, q = y & 1. decode() returns the
+// same { length, text, target, flow } as the x86 decoder, or null.
+
+const R = ['b', 'c', 'd', 'e', 'h', 'l', '(hl)', 'a'];
+const RP = ['bc', 'de', 'hl', 'sp'];
+const RP2 = ['bc', 'de', 'hl', 'af'];
+const CC = ['nz', 'z', 'nc', 'c', 'po', 'pe', 'p', 'm'];
+const ALU = ['add a,', 'adc a,', 'sub', 'sbc a,', 'and', 'xor', 'or', 'cp'];
+const ROT = ['rlc', 'rrc', 'rl', 'rr', 'sla', 'sra', 'sll', 'srl'];
+const ACC = ['rlca', 'rrca', 'rla', 'rra', 'daa', 'cpl', 'scf', 'ccf'];
+const IM = ['0', '0', '1', '2', '0', '0', '1', '2'];
+const BLOCK = [
+  ['ldi', 'cpi', 'ini', 'outi'],
+  ['ldd', 'cpd', 'ind', 'outd'],
+  ['ldir', 'cpir', 'inir', 'otir'],
+  ['lddr', 'cpdr', 'indr', 'otdr'],
+];
+const ED_MISC = ['ld i,a', 'ld r,a', 'ld a,i', 'ld a,r', 'rrd', 'rld'];
+
+function decode(data, pos, addr, name = (a) => hex(a, 4)) {
+  let p = pos;
+  let short = false;
+  const byte = () => {
+    if (p >= data.length) { short = true; return 0; }
+    return data[p++];
+  };
+  const word = () => byte() | (byte() << 8);
+  const sbyte = () => { const b = byte(); return b < 0x80 ? b : b - 0x100; };
+
+  let op = byte();
+  let index = null;
+  if (op === 0xDD || op === 0xFD) {
+    index = op === 0xDD ? 'ix' : 'iy';
+    op = byte();
+    // A second prefix cancels the first, which then runs as a NOP
+    if ([0xDD, 0xED, 0xFD].includes(op)) return null;
+  }
+
+  // (ix+d) takes its displacement from the byte after the opcode
+  let disp = null;
+  const indexed = () => {
+    if (disp === null) disp = sbyte();
+    return `(${index}${disp < 0 ? '-' + hex(-disp) : '+' + hex(disp)})`;
+  };
+  // Register operand; with a prefix, (hl) becomes (ix+d) and h/l become
+  // ixh/ixl unless the instruction also uses (ix+d)
+  const reg = (i, memory = false) => {
+    if (!index) return R[i];
+    if (i === 6) return indexed();
+    if ((i === 4 || i === 5) && !memory) return index + R[i];
+    return R[i];
+  };
+  const hl = index || 'hl';
+  const rp = (i) => (i === 2 ? hl : RP[i]);
+  const rp2 = (i) => (i === 2 ? hl : RP2[i]);
+
+  let text = null;
+  let target = null;
+  let flow = 'next';
+  const x = op >> 6, y = (op >> 3) & 7, z = op & 7, pp = y >> 1, q = y & 1;
+
+  if (op === 0xCB) {
+    // Bit operations; DD CB d op puts the displacement before the opcode
+    let operand;
+    if (index) operand = indexed();
+    const cb = byte();
+    const cx = cb >> 6, cy = (cb >> 3) & 7, cz = cb & 7;
+    if (!index) operand = R[cz];
+    else if (cz !== 6) operand += ',' + R[cz];
+    text = cx === 0 ? `${ROT[cy]} ${operand}` : `${['', 'bit', 'res', 'set'][cx]} ${cy},${operand}`;
+  } else if (op === 0xED) {
+    const ed = byte();
+    const ex = ed >> 6, ey = (ed >> 3) & 7, ez = ed & 7, ep = ey >> 1, eq = ey & 1;
+    if (ex === 1) {
+      switch (ez) {
+        case 0: text = ey === 6 ? 'in (c)' : `in ${R[ey]},(c)`; break;
+        case 1: text = ey === 6 ? 'out (c),0' : `out (c),${R[ey]}`; break;
+        case 2: text = `${eq ? 'adc' : 'sbc'} hl,${RP[ep]}`; break;
+        case 3: {
+          const nn = hex(word(), 4);
+          text = eq ? `ld ${RP[ep]},(${nn})` : `ld (${nn}),${RP[ep]}`;
+          break;
+        }
+        case 4: text = 'neg'; break;
+        case 5: text = ey === 1 ? 'reti' : 'retn'; flow = 'return'; break;
+        case 6: text = `im ${IM[ey]}`; break;
+        case 7: if (ey > 5) return null; text = ED_MISC[ey]; break;
+      }
+    } else if (ex === 2 && ez <= 3 && ey >= 4) {
+      text = BLOCK[ey - 4][ez];
+    } else {
+      return null;
+    }
+  } else if (x === 0) {
+    switch (z) {
+      case 0:
+        if (y === 0) text = 'nop';
+        else if (y === 1) text = "ex af,af'";
+        else {
+          const rel = sbyte();
+          target = (addr + (p - pos) + rel) & 0xFFFF;
+          const mnemonic = y === 2 ? 'djnz' : y === 3 ? 'jr' : `jr ${CC[y - 4]},`;
+          text = `${mnemonic}${mnemonic.endsWith(',') ? '' : ' '}${name(target)}`;
+          flow = y === 3 ? 'jump' : 'branch';
+        }
+        break;
+      case 1: text = q ? `add ${hl},${rp(pp)}` : `ld ${rp(pp)},${hex(word(), 4)}`; break;
+      case 2: {
+        const ind = ['(bc)', '(de)'];
+        if (pp < 2) text = q ? `ld a,${ind[pp]}` : `ld ${ind[pp]},a`;
+        else {
+          const nn = `(${hex(word(), 4)})`;
+          const r = pp === 2 ? hl : 'a';
+          text = q ? `ld ${r},${nn}` : `ld ${nn},${r}`;
+        }
+        break;
+      }
+      case 3: text = `${q ? 'dec' : 'inc'} ${rp(pp)}`; break;
+      case 4: text = `inc ${reg(y)}`; break;
+      case 5: text = `dec ${reg(y)}`; break;
+      case 6: { const r = reg(y); text = `ld ${r},${hex(byte())}`; break; }
+      case 7: text = ACC[y]; break;
+    }
+  } else if (x === 1) {
+    if (y === 6 && z === 6) text = 'halt';
+    else {
+      const memory = y === 6 || z === 6;
+      text = `ld ${reg(y, memory)},${reg(z, memory)}`;
+    }
+  } else if (x === 2) {
+    text = `${ALU[y]}${ALU[y].endsWith(',') ? '' : ' '}${reg(z)}`;
+  } else {
+    switch (z) {
+      case 0: text = `ret ${CC[y]}`; break;
+      case 1:
+        if (!q) text = `pop ${rp2(pp)}`;
+        else if (pp === 0) { text = 'ret'; flow = 'return'; }
+        else if (pp === 1) text = 'exx';
+        else if (pp === 2) { text = `jp (${hl})`; flow = 'stop'; }
+        else text = `ld sp,${hl}`;
+        break;
+      case 2:
+        target = word();
+        text = `jp ${CC[y]},${name(target)}`;
+        flow = 'branch';
+        break;
+      case 3:
+        switch (y) {
+          case 0: target = word(); text = `jp ${name(target)}`; flow = 'jump'; break;
+          case 2: text = `out (${hex(byte())}),a`; break;
+          case 3: text = `in a,(${hex(byte())})`; break;
+          case 4: text = `ex (sp),${hl}`; break;
+          case 5: text = 'ex de,hl'; break;
+          case 6: text = 'di'; break;
+          case 7: text = 'ei'; break;
+        }
+        break;
+      case 4:
+        target = word();
+        text = `call ${CC[y]},${name(target)}`;
+        flow = 'call';
+        break;
+      case 5:
+        if (!q) text = `push ${rp2(pp)}`;
+        else if (pp === 0) { target = word(); text = `call ${name(target)}`; flow = 'call'; }
+        else return null;
+        break;
+      case 6: text = `${ALU[y]}${ALU[y].endsWith(',') ? '' : ' '}${hex(byte())}`; break;
+      case 7: target = y * 8; text = `rst ${hex(target)}`; flow = 'call'; break;
+    }
+  }
+
+  if (short) return null;
+  return { length: p - pos, text, target, flow };
+}
+
+module.exports = {
+  decode,
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const x86 = require('./disasm-x86');
+const z80 = require('./disasm-z80');
+const { findHeader } = require('./file-view');
+
+// Disassembly of boot sectors and program files. Code is found by following
+// the flow from the entry points: every jump and call target inside the
+// block is decoded in turn, so data between routines is not mistaken for
+// instructions. Whatever the flow never reaches is listed as data (db).
+
+const CPUS = {
+  x86: { name: '16-bit x86', decode: x86.decode, maxAddress: 0xFFFFF },
+  z80: { name: 'Z80', decode: z80.decode, maxAddress: 0xFFFF },
+};
+
+const { hex } = x86;
+const DATA_ROW = 8;
+const FILL_RUN = 16;
+// Listings stop after 64K, a whole Z80 address space or x86 code segment
+const MAX_BYTES = 0x10000;
+
+const label = (kind, addr) => `${kind}_${addr.toString(16).toUpperCase().padStart(4, '0')}`;
+
+// Follow the code from each entry point; returns the decoded instructions
+// by offset and the labels for branch targets inside the block
+function traceCode(data, cpu, origin, entries) {
+  const { decode } = CPUS[cpu];
+  const inBlock = (addr) => addr >= origin && addr < origin + data.length;
+  const owner = new Int32Array(data.length).fill(-1);
+  const code = new Map();
+  const labels = new Map();
+
+  const queue = [];
+  for (const entry of entries) {
+    if (!inBlock(entry)) continue;
+    labels.set(entry, label('start', entry));
+    queue.push(entry);
+  }
+  while (queue.length) {
+    let addr = queue.pop();
+    while (inBlock(addr) && owner[addr - origin] < 0) {
+      const off = addr - origin;
+      const insn = decode(data, off, addr);
+      if (!insn) break;
+      // Stop where the bytes overlap code already decoded from elsewhere
+      let free = true;
+      for (let i = off; i < off + insn.length; i++) if (owner[i] >= 0) free = false;
+      if (!free) break;
+      owner.fill(off, off, off + insn.length);
+      code.set(off, insn);
+
+      if (insn.target != null && inBlock(insn.target)) {
+        if (!labels.has(insn.target)) labels.set(insn.target, label(insn.flow === 'call' ? 'sub' : 'loc', insn.target));
+        queue.push(insn.target);
+      }
+      if (['jump', 'return', 'stop'].includes(insn.flow)) break;
+      addr += insn.length;
+    }
+  }
+  // A jump into the middle of another instruction gets no label
+  for (const addr of labels.keys()) {
+    const off = addr - origin;
+    if (owner[off] >= 0 && !code.has(off)) labels.delete(addr);
+  }
+  return { code, labels, owner };
+}
+
+function byteList(bytes) {
+  return [...bytes].map(b => hex(b)).join(',');
+}
+
+const hexBytes = (bytes) => [...bytes].map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+
+// Disassemble a block of code loaded at origin:
+// { cpu, cpuName, origin, entries, size, truncated, codeBytes, lines }
+// lines are { addr, bytes, text, label?, target?, data? }; target is set
+// when the operand is a label in the listing.
+function disassemble(data, { cpu = 'x86', origin = 0, entries } = {}) {
+  const info = CPUS[cpu];
+  if (!info) throw new Error(`Unknown CPU: ${cpu}`);
+  if (!Number.isInteger(origin) || origin < 0 || origin > info.maxAddress) {
+    throw new Error(`Origin out of range for ${info.name}`);
+  }
+  const size = Math.min(MAX_BYTES, info.maxAddress + 1 - origin);
+  const truncated = data.length > size;
+  data = data.slice(0, size);
+  entries = entries && entries.length ? entries : [origin];
+
+  const { code, labels, owner } = traceCode(data, cpu, origin, entries);
+  const name = (addr) => labels.get(addr) || hex(addr, 4);
+  const lines = [];
+  let codeBytes = 0;
+
+  let off = 0;
+  while (off < data.length) {
+    const addr = origin + off;
+    if (code.has(off)) {
+      // Decode again so branch operands use the label names
+      const insn = info.decode(data, off, addr, name);
+      lines.push({
+        addr,
+        bytes: hexBytes(data.slice(off, off + insn.length)),
+        text: insn.text,
+        ...(labels.has(addr) && { label: labels.get(addr) }),
+        ...(labels.has(insn.target) && { target: insn.target }),
+      });
+      codeBytes += insn.length;
+      off += insn.length;
+      continue;
+    }
+
+    // Data up to the next instruction or label, a row at a time; long runs
+    // of one value (padding) collapse into a single line
+    let end = off + 1;
+    while (end < data.length && owner[end] < 0 && !labels.has(origin + end)) end++;
+    let run = 1;
+    while (off + run < end && data[off + run] === data[off]) run++;
+    const fill = run >= FILL_RUN;
+    const len = fill ? run : Math.min(DATA_ROW, end - off);
+    const bytes = data.slice(off, off + len);
+    lines.push({
+      addr,
+      bytes: fill ? `${hexBytes(bytes.slice(0, 4))} …` : hexBytes(bytes),
+      text: fill ? `db ${len} dup (${hex(data[off])})` : `db ${byteList(bytes)}`,
+      ...(labels.has(addr) && { label: labels.get(addr) }),
+      data: true,
+    });
+    off += len;
+  }
+
+  return { cpu, cpuName: info.name, origin, entries, size: data.length, truncated, codeBytes, lines };
+}
+
+// Default CPU for a disk: Z80 for CPC and +3 disks, x86 otherwise
+function defaultCpu(disk) {
+  return ['CP/M', '+3DOS'].includes(disk.filesystem?.type) ? 'z80' : 'x86';
+}
+
+// Where a sector's code runs. A PC boot sector is loaded at 0000:7C00, the
+// +3 loads its boot sector at FE00h and jumps to FE10h, and the CPC's |CPM
+// loads the first sector of a system disk (&41) at &0100.
+function sectorLayout(disk, track, side, r, cpu) {
+  const boot = track === 0 && side === 0;
+  if (cpu === 'x86') {
+    const first = disk.trackIndex.find(t => t.track === 0 && t.side === 0)?.sectors
+      .reduce((min, s) => Math.min(min, s.R), Infinity);
+    return boot && r === first ? { origin: 0x7C00, entry: 0x7C00, kind: 'PC boot sector' } : { origin: 0, entry: 0 };
+  }
+  if (boot && disk.filesystem?.type === '+3DOS' && r === 1) return { origin: 0xFE00, entry: 0xFE10, kind: '+3 boot sector' };
+  if (boot && r === 0x41) return { origin: 0x0100, entry: 0x0100, kind: 'CPC boot sector' };
+  return { origin: 0, entry: 0 };
+}
+
+// Where a file's code runs, and the bytes to disassemble. DOS .EXE files
+// start at CS:IP from the MZ header with the load module at 0, .COM files
+// at 0100h; AMSDOS and +3DOS headers give the load and exec addresses.
+function fileLayout(data, fs_info, cpu) {
+  if (cpu === 'x86') {
+    if (data.length >= 28 && data.slice(0, 2).toString('latin1') === 'MZ') {
+      const headerSize = data.readUInt16LE(8) * 16;
+      const entry = data.readUInt16LE(0x16) * 16 + data.readUInt16LE(0x14);
+      return { data: data.slice(headerSize), origin: 0, entry, kind: 'DOS EXE' };
+    }
+    return { data, origin: 0x100, entry: 0x100, kind: 'DOS COM' };
+  }
+  const found = findHeader(data, fs_info);
+  const header = found?.header;
+  if (header?.checksumOk && header.loadAddress != null) {
+    const body = found.type.strip(data);
+    const exec = header.execAddress;
+    const entry = exec != null && exec >= header.loadAddress && exec < header.loadAddress + body.length
+      ? exec : header.loadAddress;
+    return { data: body, origin: header.loadAddress, entry, kind: `${found.type.name} ${header.type}` };
+  }
+  return { data: found ? found.type.strip(data) : data, origin: 0, entry: 0 };
+}
+
+// Disassemble with the default layout, or at another origin; the entry
+// point keeps its place relative to the start of the code
+function disassembleAt(layout, cpu, origin) {
+  const base = origin != null ? origin : layout.origin;
+  const entry = base + (layout.entry - layout.origin);
+  return { kind: layout.kind || null, ...disassemble(layout.data, { cpu, origin: base, entries: [entry] }) };
+}
+
+module.exports = {
+  CPUS,
+  disassemble,
+  disassembleAt,
+  defaultCpu,
+  sectorLayout,
+  fileLayout,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+// Shared pieces for formats whose sector data doesn't sit verbatim in the file
+// (flux, bitstream and compressed images). Decoders hand over plain sector
+// lists; buildDisk packs the payloads into one buffer and produces the same
+// trackIndex model as parseDisk, with dataOffset pointing into that buffer.
+
+// Decode FDC ST1/ST2 status bits into readable flags
+function errorFlagsFor(ST1, ST2) {
+  const errorFlags = [];
+  if (ST1 & 0x80) errorFlags.push('end-of-cylinder');
+  if (ST1 & 0x20) errorFlags.push('data-error-in-id');
+  if (ST1 & 0x04) errorFlags.push('no-data');
+  if (ST1 & 0x02) errorFlags.push('not-writable');
+  if (ST1 & 0x01) errorFlags.push('missing-address-mark');
+  if (ST2 & 0x40) errorFlags.push('control-mark');
+  if (ST2 & 0x20) errorFlags.push('data-error-in-data');
+  if (ST2 & 0x04) errorFlags.push('wrong-cylinder');
+  if (ST2 & 0x02) errorFlags.push('bad-cylinder');
+  if (ST2 & 0x01) errorFlags.push('missing-data-mark');
+  return errorFlags;
+}
+
+// tracks: [{ track, side, sectors: [{ C, H, R, N, ST1, ST2, data, ...extra }], ...trackFields }]
+// Sectors without data (no data mark found) get dataOffset null.
+function buildDisk(format, tracks, props = {}) {
+  const byPos = new Map();
+  let maxTrack = -1;
+  let maxSide = 0;
+  for (const t of tracks) {
+    byPos.set(t.track * 2 + t.side, t);
+    if (t.track > maxTrack) maxTrack = t.track;
+    if (t.side > maxSide) maxSide = t.side;
+  }
+
+  const chunks = [];
+  let off = 0;
+  const sides = props.sides || maxSide + 1;
+  const trackCount = props.tracks || maxTrack + 1;
+  const trackIndex = [];
+
+  for (let t = 0; t < trackCount; t++) {
+    for (let s = 0; s < sides; s++) {
+      const src = byPos.get(t * 2 + s);
+      if (!src || !src.sectors || src.sectors.length === 0) {
+        trackIndex.push({ track: t, side: s, offset: null, size: 0, missing: true, sectors: [], ...(src ? trackFields(src) : {}) });
+        continue;
+      }
+
+      let trackBytes = 0;
+      const sectors = src.sectors.map((sec, i) => {
+        const { C, H, R, N, data, ...extra } = sec;
+        const ST1 = sec.ST1 || 0;
+        const ST2 = sec.ST2 || 0;
+        const expectedSize = 128 << Math.min(N, 7);
+        let dataOffset = null;
+        if (data && data.length) {
+          dataOffset = off;
+          chunks.push(data);
+          off += data.length;
+          trackBytes += data.length;
+        }
+        return {
+          ...extra,
+          index: i,
+          C, H, R, N,
+          ST1, ST2,
+          size: data && data.length ? data.length : expectedSize,
+          storedSize: data ? data.length : 0,
+          expectedSize,
+          hasError: !!(ST1 || ST2),
+          errorFlags: errorFlagsFor(ST1, ST2),
+          dataOffset,
+        };
+      });
+
+      trackIndex.push({
+        track: t,
+        side: s,
+        offset: null,
+        size: trackBytes,
+        ...trackFields(src),
+        sectorCount: sectors.length,
+        sectors,
+      });
+    }
+  }
+
+  const disk = {
+    format,
+    creator: '',
+    ...props,
+    tracks: trackCount,
+    sides,
+    trackIndex,
+  };
+  return { buf: Buffer.concat(chunks), disk };
+}
+
+// Per-track fields from the decoder, minus the ones buildDisk owns
+function trackFields(src) {
+  const { track, side, sectors, ...rest } = src;
+  return rest;
+}
+
+module.exports = {
+  buildDisk,
+  errorFlagsFor,
+};
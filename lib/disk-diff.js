@@ -0,0 +1,187 @@
+'use strict';
+
+const { readFATDirectory, readFileData } = require('./edsk-parser');
+const { keyedSectors } = require('./sector-map');
+
+// Track/sector comparison of two images, usually two reads of the same
+// physical disk. Tracks are lined up by cylinder and head, sectors within a
+// track by their ID (R; repeated IDs by their order on the track). For each
+// sector pair the CHRN, the FDC status flags and the data are compared, and
+// the data differences are reported as byte ranges. When both disks carry
+// a FAT filesystem the files are compared as well.
+
+const MAX_RANGES = 32;
+
+// Contiguous runs of differing bytes, compared over the common length
+function byteRanges(a, b) {
+  const ranges = [];
+  let bytes = 0;
+  let start = -1;
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i <= len; i++) {
+    const differs = i < len && a[i] !== b[i];
+    if (differs) bytes++;
+    if (differs && start < 0) start = i;
+    if (!differs && start >= 0) {
+      ranges.push({ start, end: i - 1 });
+      start = -1;
+    }
+  }
+  return {
+    bytes,
+    ranges: ranges.slice(0, MAX_RANGES),
+    ...(ranges.length > MAX_RANGES && { moreRanges: ranges.length - MAX_RANGES }),
+  };
+}
+
+function sectorData(buf, sec) {
+  if (sec.dataOffset == null) return null;
+  return buf.slice(sec.dataOffset, sec.dataOffset + sec.size);
+}
+
+const sectorId = (sec) => ({ C: sec.C, H: sec.H, R: sec.R, N: sec.N, ST1: sec.ST1 || 0, ST2: sec.ST2 || 0, size: sec.size });
+
+// Compare two sectors with the same ID:
+// { R, status, a, b, differences: ['chrn', 'status', 'data', 'size', ...],
+//   bytes, ranges }
+function compareSectors(bufA, a, bufB, b) {
+  const differences = [];
+  if (a.C !== b.C || a.H !== b.H || a.N !== b.N) differences.push('chrn');
+  if ((a.ST1 || 0) !== (b.ST1 || 0) || (a.ST2 || 0) !== (b.ST2 || 0)) differences.push('status');
+  if ((a.copies || 1) !== (b.copies || 1)) differences.push('copies');
+
+  const dataA = sectorData(bufA, a);
+  const dataB = sectorData(bufB, b);
+  let diff = { bytes: 0, ranges: [] };
+  if (!dataA || !dataB) {
+    if (dataA || dataB) differences.push('no-data');
+  } else {
+    if (dataA.length !== dataB.length) differences.push('size');
+    diff = byteRanges(dataA, dataB);
+    if (diff.bytes) differences.push('data');
+  }
+  return {
+    R: a.R,
+    status: differences.length ? 'different' : 'same',
+    a: sectorId(a),
+    b: sectorId(b),
+    differences,
+    ...diff,
+  };
+}
+
+function compareTracks(bufA, trkA, bufB, trkB) {
+  const presentA = trkA && !trkA.missing;
+  const presentB = trkB && !trkB.missing;
+  if (!presentA || !presentB) {
+    const only = presentA ? trkA : presentB ? trkB : null;
+    return {
+      status: !only ? 'same' : presentA ? 'only-a' : 'only-b',
+      sectors: keyedSectors(only).map(({ sec }) => ({
+        R: sec.R,
+        status: presentA ? 'only-a' : 'only-b',
+        [presentA ? 'a' : 'b']: sectorId(sec),
+      })),
+    };
+  }
+
+  const listA = keyedSectors(trkA);
+  const listB = new Map(keyedSectors(trkB).map(s => [s.key, s.sec]));
+  const sectors = [];
+  for (const { key, sec } of listA) {
+    const other = listB.get(key);
+    listB.delete(key);
+    sectors.push(other ? compareSectors(bufA, sec, bufB, other) : { R: sec.R, status: 'only-a', a: sectorId(sec) });
+  }
+  for (const sec of listB.values()) sectors.push({ R: sec.R, status: 'only-b', b: sectorId(sec) });
+
+  return { status: sectors.every(s => s.status === 'same') ? 'same' : 'different', sectors };
+}
+
+// File-level comparison of two FAT filesystems by path: files only on one
+// side, and files whose size, date, attributes or contents differ
+function diffFiles(a, b) {
+  const list = (d) => new Map(readFATDirectory(d.buf, d.disk, d.disk.filesystem).map(f => [f.path, f]));
+  const filesA = list(a);
+  const filesB = list(b);
+  const result = { onlyA: [], onlyB: [], changed: [], same: 0 };
+
+  for (const [p, fa] of filesA) {
+    const fb = filesB.get(p);
+    if (!fb) { result.onlyA.push({ path: p, isDir: fa.isDir, size: fa.size }); continue; }
+    if (fa.isDir || fb.isDir) {
+      if (fa.isDir !== fb.isDir) result.changed.push({ path: p, differences: ['type'] });
+      else result.same++;
+      continue;
+    }
+
+    const differences = [];
+    if (fa.size !== fb.size) differences.push('size');
+    if (fa.date !== fb.date || fa.time !== fb.time) differences.push('date');
+    if (fa.attr !== fb.attr) differences.push('attributes');
+    if (fa.cluster !== fb.cluster) differences.push('cluster');
+    const dataA = readFileData(a.buf, a.disk, a.disk.filesystem, fa.cluster, fa.size) || Buffer.alloc(0);
+    const dataB = readFileData(b.buf, b.disk, b.disk.filesystem, fb.cluster, fb.size) || Buffer.alloc(0);
+    const content = byteRanges(dataA, dataB);
+    if (content.bytes) differences.push('contents');
+
+    if (!differences.length) { result.same++; continue; }
+    result.changed.push({
+      path: p,
+      differences,
+      sizeA: fa.size,
+      sizeB: fb.size,
+      ...content,
+      sectors: fa.sectors,
+    });
+  }
+  for (const [p, fb] of filesB) {
+    if (!filesA.has(p)) result.onlyB.push({ path: p, isDir: fb.isDir, size: fb.size });
+  }
+  return result;
+}
+
+// Compare two loaded images ({ buf, disk } each):
+// { summary, tracks: [{ track, side, status, sectors }], files }
+// Track and sector status is 'same', 'different', 'only-a' or 'only-b';
+// files is null unless both disks are FAT.
+function diffDisks(a, b) {
+  const tracks = [];
+  const cylinders = Math.max(a.disk.tracks, b.disk.tracks);
+  const sides = Math.max(a.disk.sides, b.disk.sides);
+  const summary = {
+    tracks: 0,
+    differentTracks: 0,
+    sectors: { same: 0, different: 0, onlyA: 0, onlyB: 0 },
+    chrn: 0,
+    status: 0,
+    bytes: 0,
+  };
+
+  for (let t = 0; t < cylinders; t++) {
+    for (let s = 0; s < sides; s++) {
+      const trkA = a.disk.trackIndex.find(x => x.track === t && x.side === s);
+      const trkB = b.disk.trackIndex.find(x => x.track === t && x.side === s);
+      const cmp = compareTracks(a.buf, trkA, b.buf, trkB);
+      summary.tracks++;
+      if (cmp.status !== 'same') summary.differentTracks++;
+      for (const sec of cmp.sectors) {
+        if (sec.status === 'same') summary.sectors.same++;
+        else if (sec.status === 'different') summary.sectors.different++;
+        else if (sec.status === 'only-a') summary.sectors.onlyA++;
+        else summary.sectors.onlyB++;
+        if (sec.differences?.includes('chrn')) summary.chrn++;
+        if (sec.differences?.includes('status')) summary.status++;
+        summary.bytes += sec.bytes || 0;
+      }
+      tracks.push({ track: t, side: s, ...cmp });
+    }
+  }
+
+  const bothFAT = a.disk.filesystem?.type === 'FAT' && b.disk.filesystem?.type === 'FAT';
+  return { summary, tracks, files: bothFAT ? diffFiles(a, b) : null };
+}
+
+module.exports = {
+  diffDisks,
+};
@@ -1,6 +1,19 @@
 'use strict';
 
 const fs = require('fs');
+const { parseRawImage } = require('./raw-image');
+const { parseBPB, isAtariBootable } = require('./bpb');
+const { errorFlagsFor } = require('./disk-builder');
+const { isSCP, parseSCP } = require('./scp');
+const { isHFE, parseHFE } = require('./hfe');
+const { isIMD, parseIMD } = require('./imd');
+const { isTD0, parseTD0 } = require('./td0');
+const { isMSA, parseMSA } = require('./msa');
+const { isADF, parseADF } = require('./adf');
+const { detectAmigaDOS } = require('./amigados');
+const { detectCPM } = require('./cpm');
+const { detectPlus3DOS } = require('./plus3dos');
+const { createSectorMap, bpbGeometry, diskGeometry } = require('./sector-map');
 
 function readAscii(buf, off, len) {
   return buf.slice(off, off + len).toString('ascii');
@@ -25,50 +38,46 @@ function detectFilesystem(buf, disk) {
   const trk0 = disk.trackIndex.find(t => t.track === 0 && t.side === 0 && !t.missing);
   if (!trk0 || trk0.sectors.length === 0) return { type: 'unknown' };
 
-  const sec = trk0.sectors[0];
+  const amiga = detectAmigaDOS(buf, disk);
+  if (amiga) return amiga;
+
+  // Boot sector is R=1 where the track has one, whatever the physical order
+  const sec = trk0.sectors.find(s => s.R === 1 && s.dataOffset != null) || trk0.sectors[0];
   if (sec.dataOffset == null) return { type: 'unknown' };
 
   const boot = buf.slice(sec.dataOffset, sec.dataOffset + Math.min(sec.size, 512));
   if (boot.length < 64) return { type: 'unknown' };
 
-  // Check for FAT BPB
-  if (boot[0] === 0xEB || boot[0] === 0xE9) {
-    const oem = boot.slice(3, 11).toString('ascii').trim();
-    const bytesPerSector = boot.readUInt16LE(11);
-    const sectorsPerCluster = boot[13];
-    const reservedSectors = boot.readUInt16LE(14);
-    const fatCount = boot[16];
-    const rootEntries = boot.readUInt16LE(17);
-    const totalSectors = boot.readUInt16LE(19) || boot.readUInt32LE(32);
-    const mediaDescriptor = boot[21];
-    const sectorsPerFAT = boot.readUInt16LE(22);
-    const sectorsPerTrack = boot.readUInt16LE(24);
-    const heads = boot.readUInt16LE(26);
-    const volumeLabel = boot.slice(43, 54).toString('ascii').trim();
-    const fsType = boot.slice(54, 62).toString('ascii').trim();
-
-    return {
+  // Check for FAT BPB (validated field by field, any jump opcode)
+  const bpb = parseBPB(boot);
+  if (bpb) {
+    const info = {
       type: 'FAT',
-      oem,
-      bytesPerSector,
-      sectorsPerCluster,
-      reservedSectors,
-      fatCount,
-      rootEntries,
-      totalSectors,
-      mediaDescriptor: hex(mediaDescriptor),
-      sectorsPerFAT,
-      sectorsPerTrack,
-      heads,
-      volumeLabel: volumeLabel.replace(/\0/g, ''),
-      fsType: fsType.replace(/\0/g, ''),
+      oem: bpb.oem,
+      bytesPerSector: bpb.bytesPerSector,
+      sectorsPerCluster: bpb.sectorsPerCluster,
+      reservedSectors: bpb.reservedSectors,
+      fatCount: bpb.fatCount,
+      rootEntries: bpb.rootEntries,
+      totalSectors: bpb.totalSectors,
+      mediaDescriptor: hex(bpb.mediaDescriptor),
+      sectorsPerFAT: bpb.sectorsPerFAT,
+      sectorsPerTrack: bpb.sectorsPerTrack,
+      heads: bpb.heads,
+      volumeLabel: bpb.volumeLabel,
+      fsType: bpb.fsType,
     };
+    if (bpb.jump === 0x60 || isAtariBootable(boot)) info.platform = 'Atari ST';
+    return info;
   }
 
-  // Check for Amstrad CPC / CP/M
-  if (trk0.sectors.some(s => s.R >= 0xC1 && s.R <= 0xC9)) {
-    return { type: 'CPC/CP/M', note: 'Amstrad CPC sector IDs detected' };
-  }
+  // Spectrum +3 / PCW, from the disc specification in the boot sector
+  const plus3 = detectPlus3DOS(buf, disk);
+  if (plus3) return plus3;
+
+  // Amstrad CPC / CP/M, recognised by the track 0 sector IDs
+  const cpm = detectCPM(buf, disk);
+  if (cpm) return cpm;
 
   return { type: 'unknown' };
 }
@@ -164,32 +173,48 @@ function parseDirEntries(flat, startOff, maxEntries) {
   return entries;
 }
 
-// Read directory entries from a FAT12 disk, recursing into subdirectories
-function readFATDirectory(buf, disk, fs_info) {
-  if (fs_info.type !== 'FAT') return [];
-
+// FAT volume regions as byte offsets, from the BPB
+function fatLayout(fs_info) {
   const bps = fs_info.bytesPerSector || 512;
   const spc = fs_info.sectorsPerCluster || 1;
-  const clusterBytes = bps * spc;
-  const rootStart = (fs_info.reservedSectors + fs_info.fatCount * fs_info.sectorsPerFAT) * bps;
+  const fatStart = fs_info.reservedSectors * bps;
+  const rootStart = fatStart + fs_info.fatCount * fs_info.sectorsPerFAT * bps;
   const rootSize = fs_info.rootEntries * 32;
-  const dataStart = (fs_info.reservedSectors +
-    fs_info.fatCount * fs_info.sectorsPerFAT +
-    Math.ceil((fs_info.rootEntries * 32) / bps)) * bps;
+  const dataStart = rootStart + Math.ceil(rootSize / bps) * bps;
+  return { bps, spc, clusterBytes: bps * spc, fatStart, rootStart, rootSize, dataStart };
+}
 
-  const flat = buildFlatImage(buf, disk);
-  if (!flat || flat.length < rootStart + rootSize) return [];
+// Sector map for a FAT volume: LBAs are laid out by the BPB geometry
+function fatSectorMap(buf, disk, fs_info) {
+  return createSectorMap(buf, disk, bpbGeometry(fs_info));
+}
 
-  const fat = readFAT12Table(flat, fs_info);
+// Sectors a file occupies and the read problems among them:
+// { sectors: [{ lba, cylinder, head, R, status }], errors: ['crc-error', ...] }
+function sectorReport(sectors) {
+  return {
+    sectors: sectors.map(({ lba, cylinder, head, R, status }) => ({ lba, cylinder, head, R, status })),
+    errors: [...new Set(sectors.map(s => s.status).filter(st => st !== 'found'))],
+  };
+}
+
+// Read directory entries from a FAT12 disk, recursing into subdirectories.
+// Every entry lists the sectors it occupies (see sectorReport).
+function readFATDirectory(buf, disk, fs_info) {
+  if (fs_info.type !== 'FAT') return [];
+
+  const { clusterBytes, rootStart, rootSize, dataStart } = fatLayout(fs_info);
+  const map = fatSectorMap(buf, disk, fs_info);
+  const fat = readFAT12Table(map, fs_info);
 
   // Read a subdirectory's entries by following its cluster chain
   function readSubdir(startCluster) {
     const chunks = [];
+    const seen = new Set();
     let cluster = startCluster;
-    while (cluster >= 2 && cluster < 0xFF8) {
-      const offset = dataStart + (cluster - 2) * clusterBytes;
-      if (offset + clusterBytes > flat.length) break;
-      chunks.push(flat.slice(offset, offset + clusterBytes));
+    while (cluster >= 2 && cluster < fat.length && !seen.has(cluster)) {
+      seen.add(cluster);
+      chunks.push(map.readBytes(dataStart + (cluster - 2) * clusterBytes, clusterBytes));
       cluster = fat[cluster];
     }
     if (chunks.length === 0) return [];
@@ -205,7 +230,9 @@ function readFATDirectory(buf, disk, fs_info) {
       if (entry.shortName === '.' || entry.shortName === '..') continue;
 
       const fullPath = prefix ? prefix + '/' + entry.name : entry.name;
-      result.push({ ...entry, name: fullPath, path: fullPath });
+      const sectors = entry.cluster >= 2
+        ? fileSectors(map, fs_info, fat, entry.cluster, entry.isDir ? Infinity : entry.size, false) : [];
+      result.push({ ...entry, name: fullPath, path: fullPath, ...sectorReport(sectors) });
 
       if (entry.isDir && entry.cluster >= 2) {
         const subEntries = readSubdir(entry.cluster);
@@ -216,14 +243,41 @@ function readFATDirectory(buf, disk, fs_info) {
   }
 
   // Parse root directory
-  const rootEntries = parseDirEntries(flat, rootStart, fs_info.rootEntries);
+  const rootEntries = parseDirEntries(map.readBytes(rootStart, rootSize), 0, fs_info.rootEntries);
   return walk(rootEntries, '');
 }
 
-// Scan directory entries for deleted files (0xE5 marker)
+// VFAT checksum of an 11-byte 8.3 name, stored in byte 13 of its LFN entries
+function lfnChecksum(sfn) {
+  let sum = 0;
+  for (let i = 0; i < 11; i++) sum = (((sum & 1) << 7) + (sum >> 1) + sfn[i]) & 0xFF;
+  return sum;
+}
+
+// Characters a restored 8.3 name can start with
+const SFN_FIRST_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&\'()-@^_`{}~';
+
+// First character of a deleted 8.3 name, from the checksum its deleted LFN
+// entries still carry: the right character makes the checksum match. The long
+// name's own first letter breaks ties; null if nothing fits.
+function guessFirstChar(sfn, checksum, longName) {
+  const name = Buffer.from(sfn);
+  const fits = [...SFN_FIRST_CHARS].filter(c => {
+    name[0] = c.charCodeAt(0);
+    return lfnChecksum(name) === checksum;
+  });
+  const hint = longName ? longName[0].toUpperCase() : null;
+  if (hint && fits.includes(hint)) return hint;
+  return fits.length === 1 ? fits[0] : null;
+}
+
+// Scan directory entries for deleted files and folders (0xE5 marker). A
+// deleted LFN run loses its sequence numbers but keeps its order, so the
+// entries in front of a deleted 8.3 entry that share one checksum are its
+// long name, last part first.
 function parseDeletedEntries(flat, startOff, maxEntries) {
   const entries = [];
-  let lfnParts = [];
+  let lfnRun = [];
 
   for (let i = 0; i < maxEntries; i++) {
     const off = startOff + i * 32;
@@ -233,37 +287,48 @@ function parseDeletedEntries(flat, startOff, maxEntries) {
 
     const attr = flat[off + 11];
 
-    // Collect LFN parts (deleted LFN entries also start with 0xE5)
-    if (first === 0xE5 && attr === 0x0F) {
-      const seq = flat[off] & 0x3F; // masked — but first byte is 0xE5 for deleted LFN
-      // Can't reliably reconstruct deleted LFN sequences, skip
-      continue;
-    }
-
-    if (attr === 0x0F) { lfnParts = []; continue; } // live LFN entry
-    if (first !== 0xE5) { lfnParts = []; continue; } // live entry, skip
+    if (first === 0xE5 && attr === 0x0F) { lfnRun.push(off); continue; } // deleted LFN entry
+    if (attr === 0x0F || first !== 0xE5) { lfnRun = []; continue; } // live entry, skip
 
     // This is a deleted 8.3 entry
-    // First character is lost (replaced with 0xE5), show as '?'
-    const rawNameBytes = flat.slice(off, off + 8);
-    const rawName = '?' + rawNameBytes.slice(1).toString('ascii').trim();
-    const rawExt = flat.slice(off + 8, off + 11).toString('ascii').trim();
-    const sfn = rawExt ? `${rawName}.${rawExt}` : rawName;
+    const run = lfnRun;
+    lfnRun = [];
 
     const fileSize = flat.readUInt32LE(off + 28);
     const cluster = flat.readUInt16LE(off + 26);
-    const ts = parseDirEntryTime(flat, off);
+    const isDir = !!(attr & 0x10);
 
-    // Skip directory entries, volume labels, and entries with no cluster/size
-    if (attr & 0x10 || attr & 0x08) continue;
-    if (cluster < 2 || fileSize === 0) continue;
+    // Skip volume labels and entries with no cluster (or no data, for files)
+    if (attr & 0x08 || cluster < 2) continue;
+    if (!isDir && fileSize === 0) continue;
+
+    let longName = null;
+    let firstChar = null;
+    if (run.length > 0) {
+      const checksum = flat[run[run.length - 1] + 13];
+      let k = run.length;
+      while (k > 0 && flat[run[k - 1] + 13] === checksum) k--;
+      const candidate = run.slice(k).reverse().map(o => extractLFNChars(flat, o).join('')).join('');
+      firstChar = guessFirstChar(flat.slice(off, off + 11), checksum, candidate);
+      if (firstChar) longName = candidate;
+    }
+
+    // The first character is lost (replaced with 0xE5); shown as '?' unless
+    // the LFN checksum gives it back
+    const rawName = (firstChar || '?') + flat.slice(off + 1, off + 8).toString('ascii').trim();
+    const rawExt = flat.slice(off + 8, off + 11).toString('ascii').trim();
+    const sfn = rawExt ? `${rawName}.${rawExt}` : rawName;
+    const ts = parseDirEntryTime(flat, off);
 
     entries.push({
-      name: sfn,
+      name: longName || sfn,
       shortName: sfn,
+      longName,
+      firstChar,
       attr,
+      isDir,
       isDeleted: true,
-      size: fileSize,
+      size: isDir ? 0 : fileSize,
       cluster,
       ...ts,
     });
@@ -271,36 +336,63 @@ function parseDeletedEntries(flat, startOff, maxEntries) {
   return entries;
 }
 
-// Find deleted files across root directory and any recoverable subdirectories
-function readDeletedFiles(buf, disk, fs_info) {
-  if (fs_info.type !== 'FAT') return [];
+// A cluster that reads as directory entries: each slot free, deleted or
+// starting with a printable name, with no reserved attribute bits
+function looksLikeDirectory(chunk) {
+  for (let off = 0; off + 32 <= chunk.length; off += 32) {
+    if (chunk[off] !== 0x00 && chunk[off] !== 0xE5 && chunk[off] < 0x20) return false;
+    if (chunk[off + 11] & 0xC0) return false;
+  }
+  return true;
+}
 
-  const bps = fs_info.bytesPerSector || 512;
-  const spc = fs_info.sectorsPerCluster || 1;
-  const clusterBytes = bps * spc;
-  const rootStart = (fs_info.reservedSectors + fs_info.fatCount * fs_info.sectorsPerFAT) * bps;
-  const rootSize = fs_info.rootEntries * 32;
-  const dataStart = (fs_info.reservedSectors +
-    fs_info.fatCount * fs_info.sectorsPerFAT +
-    Math.ceil((fs_info.rootEntries * 32) / bps)) * bps;
+function hasEndMarker(chunk) {
+  for (let off = 0; off + 32 <= chunk.length; off += 32) if (chunk[off] === 0x00) return true;
+  return false;
+}
 
-  const flat = buildFlatImage(buf, disk);
-  if (!flat || flat.length < rootStart + rootSize) return [];
+// Find deleted files in the root directory, every live subdirectory and
+// deleted subdirectories whose first cluster is still free and starts with
+// its own '.' entry. Inside a deleted folder the entries that were never
+// marked deleted are listed too. Entries carry `dir`, the live directory
+// holding them ('' for the root), or null inside a deleted folder.
+function readDeletedFiles(buf, disk, fs_info) {
+  if (fs_info.type !== 'FAT') return [];
 
-  const fat = readFAT12Table(flat, fs_info);
+  const { clusterBytes, rootStart, rootSize, dataStart } = fatLayout(fs_info);
+  const map = fatSectorMap(buf, disk, fs_info);
+  const fat = readFAT12Table(map, fs_info);
   const totalClusters = fat.length;
+  const deleted = [];
+  const seen = new Set();
 
-  const deleted = parseDeletedEntries(flat, rootStart, fs_info.rootEntries);
+  const readCluster = (c) => map.readBytes(dataStart + (c - 2) * clusterBytes, clusterBytes);
+
+  // A live directory follows its FAT chain. A deleted one has lost its
+  // chain, so take free clusters from the start until the end-of-directory
+  // marker, as long as they still look like directory entries.
+  function dirData(start, isDeleted) {
+    const chunks = [];
+    for (let c = start; c >= 2 && c < totalClusters && !seen.has(c); c = isDeleted ? c + 1 : fat[c]) {
+      if (isDeleted && fat[c] !== 0) break;
+      const chunk = readCluster(c);
+      if (isDeleted && chunks.length > 0 && !looksLikeDirectory(chunk)) break;
+      seen.add(c);
+      chunks.push(chunk);
+      if (isDeleted && hasEndMarker(chunk)) break;
+    }
+    return Buffer.concat(chunks);
+  }
 
-  // Assess recoverability for each deleted file
-  for (const entry of deleted) {
+  // Assess recoverability of a deleted file
+  function assessFile(entry) {
     const clustersNeeded = Math.ceil(entry.size / clusterBytes);
 
     // Check if starting cluster's FAT entry is free
     if (entry.cluster >= totalClusters || fat[entry.cluster] !== 0) {
       entry.recoverable = false;
       entry.reason = 'Start cluster reallocated';
-      continue;
+      return;
     }
 
     // Check if enough contiguous clusters from start are free
@@ -313,120 +405,177 @@ function readDeletedFiles(buf, disk, fs_info) {
     if (freeCount >= clustersNeeded) {
       entry.recoverable = true;
       entry.reason = `${clustersNeeded} cluster${clustersNeeded > 1 ? 's' : ''} free`;
+      Object.assign(entry, sectorReport(fileSectors(map, fs_info, fat, entry.cluster, entry.size, true)));
+      const bad = entry.sectors.filter(s => s.status !== 'found').length;
+      if (bad) entry.reason += `, ${bad} bad sector${bad > 1 ? 's' : ''}`;
     } else {
       entry.recoverable = false;
       entry.reason = `Only ${freeCount}/${clustersNeeded} clusters free`;
     }
   }
 
-  return deleted;
-}
+  // A deleted folder is intact while its first cluster is free and still
+  // holds the '.' entry pointing at itself
+  function deletedDirIntact(entry) {
+    if (entry.cluster >= totalClusters || fat[entry.cluster] !== 0 || seen.has(entry.cluster)) return false;
+    const head = readCluster(entry.cluster);
+    return head.slice(0, 11).toString('ascii') === '.          ' && !!(head[11] & 0x10) &&
+      head.readUInt16LE(26) === entry.cluster;
+  }
 
-// Recover a deleted file by reading contiguous clusters (FAT chain is zeroed)
-function readDeletedFileData(buf, disk, fs_info, startCluster, fileSize) {
-  if (fs_info.type !== 'FAT' || startCluster < 2) return null;
+  function add(entry, prefix, live) {
+    const fullPath = prefix ? prefix + '/' + entry.name : entry.name;
+    const item = { ...entry, name: fullPath, path: fullPath, dir: live ? prefix : null, sectors: [], errors: [] };
+    deleted.push(item);
+
+    if (!entry.isDir) {
+      assessFile(item);
+    } else if (deletedDirIntact(entry)) {
+      item.recoverable = false;
+      item.reason = 'Deleted folder';
+      const dirBuf = dirData(entry.cluster, true);
+      scan(dirBuf, dirBuf.length / 32, fullPath, false);
+    } else {
+      item.recoverable = false;
+      item.reason = 'Folder clusters reused';
+    }
+  }
 
-  const flat = buildFlatImage(buf, disk);
-  if (!flat) return null;
+  function scan(flat, maxEntries, prefix, live) {
+    for (const entry of parseDeletedEntries(flat, 0, maxEntries)) add(entry, prefix, live);
 
-  const bps = fs_info.bytesPerSector || 512;
-  const spc = fs_info.sectorsPerCluster || 1;
-  const clusterBytes = bps * spc;
-  const dataStart = (fs_info.reservedSectors +
-    fs_info.fatCount * fs_info.sectorsPerFAT +
-    Math.ceil((fs_info.rootEntries * 32) / bps)) * bps;
-
-  // Read contiguous clusters starting from startCluster
-  const clustersNeeded = Math.ceil(fileSize / clusterBytes);
-  const chunks = [];
-  let remaining = fileSize;
+    if (!live) {
+      // Entries that were still live when their folder was deleted keep
+      // their whole name, and their clusters were freed with the folder
+      for (const entry of parseDirEntries(flat, 0, maxEntries)) {
+        if (entry.isVolumeLabel || entry.cluster < 2 || entry.shortName === '.' || entry.shortName === '..') continue;
+        if (!entry.isDir && entry.size === 0) continue;
+        add({ ...entry, firstChar: null, isDeleted: true }, prefix, false);
+      }
+      return;
+    }
+    for (const entry of parseDirEntries(flat, 0, maxEntries)) {
+      if (!entry.isDir || entry.cluster < 2 || entry.shortName === '.' || entry.shortName === '..') continue;
+      const dirBuf = dirData(entry.cluster, false);
+      scan(dirBuf, dirBuf.length / 32, prefix ? prefix + '/' + entry.name : entry.name, true);
+    }
+  }
+
+  scan(map.readBytes(rootStart, rootSize), fs_info.rootEntries, '', true);
+  return deleted;
+}
 
-  for (let i = 0; i < clustersNeeded && remaining > 0; i++) {
-    const cluster = startCluster + i;
-    const offset = dataStart + (cluster - 2) * clusterBytes;
-    const toRead = Math.min(clusterBytes, remaining);
-    if (offset + toRead > flat.length) break;
-    chunks.push(flat.slice(offset, offset + toRead));
-    remaining -= toRead;
+// Files with sectors that didn't read cleanly, live and recoverable deleted
+// ones, and the tracks those sectors are on: the reads worth redoing.
+// { files, damaged: [{ path, deleted, isDir, size, errors, badSectors }],
+//   tracks: [{ cylinder, head, sectors: [R], files: [path] }] }
+function readDamagedFiles(buf, disk, fs_info) {
+  if (fs_info.type !== 'FAT') return null;
+  const entries = [
+    ...readFATDirectory(buf, disk, fs_info).map(f => ({ ...f, deleted: false })),
+    ...readDeletedFiles(buf, disk, fs_info).filter(f => f.recoverable).map(f => ({ ...f, deleted: true })),
+  ];
+
+  const damaged = entries.filter(f => f.errors.length).map(f => ({
+    path: f.path,
+    deleted: f.deleted,
+    isDir: f.isDir,
+    size: f.size,
+    cluster: f.cluster,
+    errors: f.errors,
+    badSectors: f.sectors.filter(s => s.status !== 'found'),
+  }));
+
+  const tracks = new Map();
+  for (const f of damaged) {
+    for (const s of f.badSectors) {
+      const key = `${s.cylinder}:${s.head}`;
+      if (!tracks.has(key)) tracks.set(key, { cylinder: s.cylinder, head: s.head, sectors: new Set(), files: new Set() });
+      tracks.get(key).sectors.add(s.R);
+      tracks.get(key).files.add(f.path);
+    }
   }
 
-  return chunks.length > 0 ? Buffer.concat(chunks) : null;
+  return {
+    files: entries.length,
+    damaged,
+    tracks: [...tracks.values()]
+      .sort((a, b) => a.cylinder - b.cylinder || a.head - b.head)
+      .map(t => ({ ...t, sectors: [...t.sectors].sort((a, b) => a - b), files: [...t.files] })),
+  };
+}
+
+// Recover a deleted file by reading contiguous clusters (FAT chain is zeroed)
+function readDeletedFileData(buf, disk, fs_info, startCluster, fileSize) {
+  if (fs_info.type !== 'FAT' || startCluster < 2) return null;
+  const { data } = readFileSectors(buf, disk, fs_info, startCluster, fileSize, { deleted: true });
+  return data.length > 0 ? data : null;
 }
 
-// Read FAT12 table from flat image
-function readFAT12Table(flat, fs_info) {
-  const bps = fs_info.bytesPerSector || 512;
-  const fatStart = fs_info.reservedSectors * bps;
+// Read FAT12 table through the sector map
+function readFAT12Table(map, fs_info) {
+  const { bps, fatStart } = fatLayout(fs_info);
   const totalClusters = Math.floor(fs_info.totalSectors / fs_info.sectorsPerCluster) + 2;
+  const bytes = map.readBytes(fatStart, fs_info.sectorsPerFAT * bps);
   const fat = new Uint16Array(totalClusters);
 
   for (let i = 0; i < totalClusters; i++) {
-    const byteIndex = fatStart + Math.floor(i * 3 / 2);
-    if (byteIndex + 1 >= flat.length) break;
-    const pair = flat.readUInt16LE(byteIndex);
+    const byteIndex = Math.floor(i * 3 / 2);
+    if (byteIndex + 1 >= bytes.length) break;
+    const pair = bytes.readUInt16LE(byteIndex);
     fat[i] = (i & 1) ? (pair >> 4) & 0xFFF : pair & 0xFFF;
   }
   return fat;
 }
 
-// Follow a FAT12 cluster chain and return the file data
-function readFileData(buf, disk, fs_info, startCluster, fileSize) {
-  if (fs_info.type !== 'FAT' || startCluster < 2) return null;
-
-  const flat = buildFlatImage(buf, disk);
-  if (!flat) return null;
-
-  const bps = fs_info.bytesPerSector || 512;
-  const spc = fs_info.sectorsPerCluster || 1;
-  const clusterBytes = bps * spc;
-  const dataStart = (fs_info.reservedSectors +
-    fs_info.fatCount * fs_info.sectorsPerFAT +
-    Math.ceil((fs_info.rootEntries * 32) / bps)) * bps;
-
-  const fat = readFAT12Table(flat, fs_info);
-  const chunks = [];
+// Sectors holding a file, in file order, with their provenance. Live files
+// follow the FAT chain; deleted files take contiguous clusters from the start.
+function fileSectors(map, fs_info, fat, startCluster, fileSize, contiguous) {
+  const { bps, spc, dataStart } = fatLayout(fs_info);
+  const sectors = [];
+  const seen = new Set();
   let cluster = startCluster;
   let remaining = fileSize;
 
-  while (cluster >= 2 && cluster < 0xFF8 && remaining > 0) {
-    const offset = dataStart + (cluster - 2) * clusterBytes;
-    const toRead = Math.min(clusterBytes, remaining);
-    if (offset + toRead > flat.length) break;
-    chunks.push(flat.slice(offset, offset + toRead));
-    remaining -= toRead;
-    cluster = fat[cluster];
+  while (cluster >= 2 && cluster < fat.length && remaining > 0 && !seen.has(cluster)) {
+    seen.add(cluster);
+    const first = dataStart / bps + (cluster - 2) * spc;
+    for (let i = 0; i < spc && remaining > 0; i++) {
+      sectors.push(map.sector(first + i));
+      remaining -= bps;
+    }
+    cluster = contiguous ? cluster + 1 : fat[cluster];
   }
+  return sectors;
+}
+
+// Read a file's data together with where each sector came from:
+// { data, sectors: [{ lba, cylinder, head, R, status }] }
+function readFileSectors(buf, disk, fs_info, startCluster, fileSize, { deleted = false } = {}) {
+  const map = fatSectorMap(buf, disk, fs_info);
+  const fat = readFAT12Table(map, fs_info);
+  const sectors = fileSectors(map, fs_info, fat, startCluster, fileSize, deleted);
+  const data = Buffer.concat(sectors.map(s => map.read(s.lba).data));
+  return {
+    data: data.slice(0, fileSize),
+    sectors: sectors.map(({ lba, cylinder, head, R, status }) => ({ lba, cylinder, head, R, status })),
+  };
+}
 
-  return Buffer.concat(chunks);
+// Follow a FAT12 cluster chain and return the file data
+function readFileData(buf, disk, fs_info, startCluster, fileSize) {
+  if (fs_info.type !== 'FAT' || startCluster < 2) return null;
+  return readFileSectors(buf, disk, fs_info, startCluster, fileSize).data;
 }
 
-// Build a flat byte image from EDSK sectors (sequential, by sector R id)
-// Missing tracks are filled with zeroes to preserve correct LBA offsets
+// Build a flat byte image in logical sector order (BPB geometry when there is
+// one, otherwise the disk's sector ID pattern). Missing sectors are zero-filled
+// to preserve correct LBA offsets.
 function buildFlatImage(buf, disk) {
-  // Determine sector size from first available track
-  const firstTrack = disk.trackIndex.find(t => !t.missing && t.sectors.length > 0);
-  if (!firstTrack) return Buffer.alloc(0);
-  const sectorBytes = firstTrack.sectors[0].size;
-  const sectorsPerTrack = firstTrack.sectorCount;
-  const trackBytes = sectorsPerTrack * sectorBytes;
-
-  const parts = [];
-  for (const trk of disk.trackIndex) {
-    if (trk.missing) {
-      // Insert zeroed placeholder to maintain correct offsets
-      parts.push(Buffer.alloc(trackBytes));
-      continue;
-    }
-    const sorted = [...trk.sectors].sort((a, b) => a.R - b.R);
-    for (const sec of sorted) {
-      if (sec.dataOffset == null) {
-        parts.push(Buffer.alloc(sec.size));
-        continue;
-      }
-      parts.push(buf.slice(sec.dataOffset, sec.dataOffset + sec.size));
-    }
-  }
-  return Buffer.concat(parts);
+  const geo = diskGeometry(disk);
+  if (!geo) return Buffer.alloc(0);
+  const map = createSectorMap(buf, disk, geo);
+  return map.readSectors(0, map.totalSectors).data;
 }
 
 function parseDisk(buf) {
@@ -455,7 +604,8 @@ function parseDisk(buf) {
       trackSizeTable[i] = readU8(buf, tableOff + i) * 256;
     }
   } else {
-    const size = readU16LE(buf, 0x32) * 256;
+    // Standard DSK: one track size in bytes (header included) for every track
+    const size = readU16LE(buf, 0x32);
     for (let i = 0; i < count; i++) trackSizeTable[i] = size;
   }
 
@@ -484,7 +634,7 @@ function parseDisk(buf) {
         throw new Error(`Track data out of bounds at track=${t} side=${s}`);
       }
 
-      const trk = parseTrack(buf, off, trkSize);
+      const trk = parseTrack(buf, off, trkSize, isEDSK);
       disk.trackIndex.push({ track: t, side: s, offset: off, size: trkSize, ...trk });
       off += trkSize;
     }
@@ -496,7 +646,7 @@ function parseDisk(buf) {
   return disk;
 }
 
-function parseTrack(buf, off, trkSize) {
+function parseTrack(buf, off, trkSize, isEDSK) {
   if (trkSize < 256) throw new Error(`Track size too small: ${trkSize}`);
 
   const sig = readAscii(buf, off, 12).replace(/\0/g, '').trim();
@@ -522,43 +672,46 @@ function parseTrack(buf, off, trkSize) {
     const ST2 = readU8(buf, eoff + 5);
     const actualSize = readU16LE(buf, eoff + 6);
     const expectedSize = sectorSize(N);
-    const size = actualSize ? actualSize : expectedSize;
-
-    const hasError = !!(ST1 || ST2);
-    const errorFlags = [];
-    if (ST1 & 0x80) errorFlags.push('end-of-cylinder');
-    if (ST1 & 0x20) errorFlags.push('data-error-in-id');
-    if (ST1 & 0x04) errorFlags.push('no-data');
-    if (ST1 & 0x02) errorFlags.push('not-writable');
-    if (ST1 & 0x01) errorFlags.push('missing-address-mark');
-    if (ST2 & 0x40) errorFlags.push('control-mark');
-    if (ST2 & 0x20) errorFlags.push('data-error-in-data');
-    if (ST2 & 0x04) errorFlags.push('wrong-cylinder');
-    if (ST2 & 0x02) errorFlags.push('bad-cylinder');
-    if (ST2 & 0x01) errorFlags.push('missing-data-mark');
-
-    sectors.push({
+    let size = actualSize ? actualSize : expectedSize;
+
+    // EDSK stores exactly actualSize bytes (0 = no data); DSK always stores a sector
+    const storedSize = isEDSK ? actualSize : size;
+
+    // Weak/random sectors: EDSK stores several reads back to back, each N-sized
+    const copies = isEDSK && actualSize > expectedSize && actualSize % expectedSize === 0
+      ? actualSize / expectedSize : 1;
+    if (copies > 1) size = expectedSize;
+
+    const sec = {
       index: i,
       C, H, R, N,
       ST1, ST2,
       size,
+      storedSize,
       expectedSize,
-      hasError,
-      errorFlags,
+      hasError: !!(ST1 || ST2),
+      errorFlags: errorFlagsFor(ST1, ST2),
       dataOffset: null,
-    });
+    };
+    if (copies > 1) sec.copies = copies;
+    sectors.push(sec);
   }
 
   let dataOff = off + 256;
   const trackEnd = off + trkSize;
 
   for (const sec of sectors) {
+    if (sec.storedSize === 0) continue;
     sec.dataOffset = dataOff;
-    if (dataOff + sec.size > trackEnd) {
+    if (dataOff + sec.storedSize > trackEnd) {
       sec.truncated = true;
       break;
     }
-    dataOff += sec.size;
+    dataOff += sec.storedSize;
+  }
+
+  for (const sec of sectors) {
+    if (sec.copies && sec.dataOffset != null && !sec.truncated) sec.weakBytes = weakBytes(buf, sec);
   }
 
   return {
@@ -575,32 +728,92 @@ function parseTrack(buf, off, trkSize) {
   };
 }
 
-// Read sector raw bytes
-function readSectorData(buf, disk, track, side, sectorR) {
+// Offsets within the sector where the stored copies of a weak sector differ
+function weakBytes(buf, sec) {
+  const offsets = [];
+  for (let i = 0; i < sec.size; i++) {
+    const first = buf[sec.dataOffset + i];
+    for (let c = 1; c < sec.copies; c++) {
+      if (buf[sec.dataOffset + c * sec.size + i] !== first) {
+        offsets.push(i);
+        break;
+      }
+    }
+  }
+  return offsets;
+}
+
+// Read sector raw bytes; weak sectors can be read copy by copy (0-based)
+function readSectorData(buf, disk, track, side, sectorR, copy = 0) {
   const trk = disk.trackIndex.find(t => t.track === track && t.side === side);
   if (!trk || trk.missing) return null;
 
   const sec = trk.sectors.find(s => s.R === sectorR);
   if (!sec || sec.dataOffset == null) return null;
+  if (copy < 0 || copy >= (sec.copies || 1)) return null;
+
+  const start = sec.dataOffset + copy * sec.size;
+  return buf.slice(start, start + sec.size);
+}
+
+// Decoded formats, recognised by signature
+const DECODERS = [
+  { test: isSCP, parse: parseSCP },
+  { test: isHFE, parse: parseHFE },
+  { test: isIMD, parse: parseIMD },
+  { test: isTD0, parse: parseTD0 },
+  { test: isMSA, parse: parseMSA },
+];
+
+// Parse any supported image: EDSK/DSK and the decoded formats by signature,
+// otherwise a raw sector image (Amiga ADF or PC/ST, told apart by size/BPB).
+// Decoded formats return a synthesized sector data buffer in place of the
+// file buffer.
+function parseImage(buf) {
+  const sig = readAscii(buf, 0, 34);
+  if (sig.startsWith('EXTENDED CPC DSK File') || sig.startsWith('MV - CPC')) {
+    return { buf, disk: parseDisk(buf) };
+  }
+
+  const decoder = DECODERS.find(d => d.test(buf));
+  if (decoder) {
+    const decoded = decoder.parse(buf);
+    decoded.disk.filesystem = detectFilesystem(decoded.buf, decoded.disk);
+    return decoded;
+  }
 
-  return buf.slice(sec.dataOffset, sec.dataOffset + sec.size);
+  let disk;
+  try {
+    disk = isADF(buf) ? parseADF(buf) : parseRawImage(buf);
+  } catch (e) {
+    throw new Error(`Unknown signature: ${JSON.stringify(sig)} (${e.message})`);
+  }
+  disk.filesystem = detectFilesystem(buf, disk);
+  return { buf, disk };
 }
 
 // Parse from file path
 function parseFile(filePath) {
   const buf = fs.readFileSync(filePath);
-  const disk = parseDisk(buf);
-  return { buf, disk };
+  return parseImage(buf);
 }
 
 module.exports = {
   parseDisk,
+  parseImage,
   parseFile,
   readSectorData,
   readFATDirectory,
   readDeletedFiles,
+  readDamagedFiles,
   readFileData,
+  readFileSectors,
   readDeletedFileData,
+  readFAT12Table,
+  fatLayout,
+  fatSectorMap,
+  lfnChecksum,
+  extractLFNChars,
   buildFlatImage,
   detectFilesystem,
   hex,
@@ -0,0 +1,168 @@
+'use strict';
+
+// Serialize a parsed disk (trackIndex model) back into an EDSK or standard DSK
+// file. When the source buffer is itself an EDSK/DSK of the same flavour, its
+// header and track blocks are used as templates so untouched images come back
+// byte-for-byte, including unused header bytes and track padding.
+
+const EDSK_SIG = 'EXTENDED CPC DSK File\r\nDisk-Info\r\n';
+const DSK_SIG = 'MV - CPCEMU Disk-File\r\nDisk-Info\r\n';
+const TRACK_SIG = 'Track-Info\r\n';
+const DEFAULT_CREATOR = 'FloppyExplor';
+
+// Number of data bytes a sector occupies in the track block
+function storedLength(sec) {
+  return sec.storedSize ?? sec.size;
+}
+
+// Sector payload: explicit sec.data wins, otherwise slice the source buffer.
+// Truncated sectors only yield the bytes that were actually present.
+function sectorBytes(buf, sec, trk) {
+  if (sec.data) return sec.data;
+  if (sec.dataOffset == null || !buf) return null;
+  let end = sec.dataOffset + storedLength(sec);
+  if (trk.offset != null && trk.size && sec.truncated) end = Math.min(end, trk.offset + trk.size);
+  return buf.slice(sec.dataOffset, Math.min(end, buf.length));
+}
+
+function roundUp256(n) {
+  return Math.ceil(n / 256) * 256;
+}
+
+// Build one track block (256-byte header + data), without trailing padding
+function buildTrack(buf, trk, format, template) {
+  const header = Buffer.alloc(256);
+  if (template && trk.offset != null) {
+    buf.copy(header, 0, trk.offset, trk.offset + 256);
+  } else {
+    header.write(TRACK_SIG, 0, 'ascii');
+  }
+
+  const sectors = trk.sectors || [];
+  if (sectors.length > 29) throw new Error(`Too many sectors for one track header: T${trk.track} S${trk.side}`);
+  // Drop stale sector info entries left over from the template
+  if (header[0x15] > sectors.length) header.fill(0, 0x18 + sectors.length * 8, 0x18 + header[0x15] * 8);
+
+  header[0x10] = trk.trackNo ?? trk.track;
+  header[0x11] = trk.sideNo ?? trk.side;
+  header[0x12] = trk.dataRate ?? header[0x12];
+  header[0x13] = trk.recMode ?? header[0x13];
+  header[0x14] = trk.sectorSizeCode ?? (sectors[0] ? sectors[0].N : 2);
+  header[0x15] = sectors.length;
+  header[0x16] = trk.gap3 ?? (template ? header[0x16] : 0x4E);
+  header[0x17] = trk.filler ?? (template ? header[0x17] : 0xE5);
+
+  const chunks = [header];
+  sectors.forEach((sec, i) => {
+    const eoff = 0x18 + i * 8;
+    header[eoff + 0] = sec.C;
+    header[eoff + 1] = sec.H;
+    header[eoff + 2] = sec.R;
+    header[eoff + 3] = sec.N;
+    header[eoff + 4] = sec.ST1 || 0;
+    header[eoff + 5] = sec.ST2 || 0;
+
+    let data = sectorBytes(buf, sec, trk);
+    if (format === 'EDSK') {
+      header.writeUInt16LE(sec.data ? sec.data.length : storedLength(sec), eoff + 6);
+    } else {
+      // Standard DSK has no per-sector length: every sector is 128 << N bytes
+      const want = 128 << sec.N;
+      if (!data || data.length !== want) {
+        const fixed = Buffer.alloc(want, header[0x17]);
+        if (data) data.copy(fixed, 0, 0, Math.min(data.length, want));
+        data = fixed;
+      }
+    }
+    if (data) chunks.push(data);
+  });
+
+  return Buffer.concat(chunks);
+}
+
+// Pad a track block to its final size, reusing the source padding bytes when
+// the template block is long enough
+function padTrack(buf, trk, block, size, template) {
+  if (block.length >= size) return block;
+  const padded = Buffer.alloc(size);
+  block.copy(padded);
+  if (template && trk.offset != null && trk.size) {
+    const srcEnd = Math.min(trk.offset + Math.min(trk.size, size), buf.length);
+    const srcStart = trk.offset + block.length;
+    if (srcStart < srcEnd) buf.copy(padded, block.length, srcStart, srcEnd);
+  }
+  return padded;
+}
+
+// Serialize disk to an EDSK (default) or standard DSK buffer.
+// opts.format: 'EDSK' | 'DSK' (defaults to the source format, else EDSK)
+function writeDisk(buf, disk, opts = {}) {
+  const format = opts.format || (disk.format === 'DSK' ? 'DSK' : 'EDSK');
+  if (format !== 'EDSK' && format !== 'DSK') throw new Error(`Unsupported output format: ${format}`);
+
+  const template = disk.format === format && !!buf && buf.length >= 256;
+  const { tracks, sides } = disk;
+  const count = tracks * sides;
+  if (format === 'EDSK' && count > 204) {
+    throw new Error(`EDSK track table too small for geometry: tracks*sides=${count} > 204`);
+  }
+
+  const header = Buffer.alloc(256);
+  if (template) {
+    buf.copy(header, 0, 0, 256);
+  } else {
+    header.write(format === 'EDSK' ? EDSK_SIG : DSK_SIG, 0, 'ascii');
+  }
+  const templateCreator = header.slice(0x22, 0x30).toString('ascii').replace(/\0/g, '').trim();
+  const creator = template ? disk.creator : (disk.creator || DEFAULT_CREATOR);
+  if (creator != null && creator !== templateCreator) {
+    header.fill(0, 0x22, 0x30);
+    header.write(creator.slice(0, 14), 0x22, 'ascii');
+  }
+  header[0x30] = tracks;
+  header[0x31] = sides;
+
+  const blocks = [];
+  for (let t = 0; t < tracks; t++) {
+    for (let s = 0; s < sides; s++) {
+      const trk = disk.trackIndex.find(x => x.track === t && x.side === s);
+      if (!trk || trk.missing) {
+        blocks.push(format === 'DSK' ? { trk: { track: t, side: s, sectors: [] }, block: null } : null);
+        continue;
+      }
+      blocks.push({ trk, block: buildTrack(buf, trk, format, template) });
+    }
+  }
+
+  const parts = [header];
+
+  if (format === 'EDSK') {
+    blocks.forEach((b, i) => {
+      if (!b) { header[0x34 + i] = 0; return; }
+      let size = roundUp256(b.block.length);
+      if (template && b.trk.offset != null && b.trk.size >= size) size = b.trk.size;
+      if (size > 0xFF00) throw new Error(`Track too large for EDSK: T${b.trk.track} S${b.trk.side}`);
+      header[0x34 + i] = size / 256;
+      parts.push(padTrack(buf, b.trk, b.block, size, template));
+    });
+  } else {
+    // Standard DSK: one track size for every track, missing tracks become empty headers
+    for (const b of blocks) {
+      if (!b.block) b.block = buildTrack(buf, b.trk, format, false);
+    }
+    let size = roundUp256(Math.max(...blocks.map(b => b.block.length)));
+    const templateSize = template ? buf.readUInt16LE(0x32) : 0;
+    if (templateSize >= size) size = templateSize;
+    if (size > 0xFFFF) throw new Error('Track too large for standard DSK');
+    header.writeUInt16LE(size, 0x32);
+    for (const b of blocks) parts.push(padTrack(buf, b.trk, b.block, size, template));
+  }
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  writeDisk,
+  storedLength,
+  sectorBytes,
+};
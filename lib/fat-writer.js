@@ -0,0 +1,485 @@
+'use strict';
+
+const { fatLayout, fatSectorMap, lfnChecksum } = require('./edsk-parser');
+
+// FAT12 write support: add, delete, rename and undelete files and create
+// directories inside a disk image. Changes are made in a sector cache and
+// only written to the image buffer (through the sector map) once the whole
+// operation has succeeded; the FAT is written to every FAT copy. Long names
+// get a VFAT LFN chain in front of a generated 8.3 alias.
+
+const FREE = 0xE5;
+const ATTR_DIR = 0x10;
+const ATTR_LFN = 0x0F;
+const ATTR_VOLUME = 0x08;
+const END_OF_CHAIN = 0xFFF;
+const MAX_FAT12_CLUSTERS = 4084;
+
+// Characters allowed in long names (anything printable except these)
+const INVALID_LONG = /[\x00-\x1F"*/:<>?\\|]/;
+// Characters allowed in 8.3 names, after upper-casing
+const VALID_SHORT = /^[A-Z0-9!#$%&'()@^_`{}~\-]*$/;
+
+// UTF-16 positions of the 13 name characters in an LFN entry
+const LFN_OFFSETS = [1, 3, 5, 7, 9, 14, 16, 18, 20, 22, 24, 28, 30];
+
+// Volume state for one write operation: the FAT (first copy) decoded to
+// 12-bit entries, and the sectors read or changed so far
+function openVolume(buf, disk) {
+  const fs_info = disk.filesystem;
+  if (fs_info?.type !== 'FAT') throw new Error('Not a FAT disk');
+
+  const layout = fatLayout(fs_info);
+  const { bps, spc } = layout;
+  const map = fatSectorMap(buf, disk, fs_info);
+  const dataSector = layout.dataStart / bps;
+  const maxEntries = Math.floor(fs_info.sectorsPerFAT * bps * 2 / 3);
+  const clusters = Math.min(Math.floor((fs_info.totalSectors - dataSector) / spc) + 2, maxEntries);
+  if (clusters - 2 > MAX_FAT12_CLUSTERS) throw new Error('Only FAT12 volumes can be written');
+
+  const fat = map.readBytes(layout.fatStart, fs_info.sectorsPerFAT * bps);
+  const cache = new Map();
+  const dirty = new Set();
+
+  const vol = {
+    fs_info,
+    layout,
+    clusters,
+
+    sector(lba) {
+      if (!cache.has(lba)) cache.set(lba, map.read(lba).data);
+      return cache.get(lba);
+    },
+
+    // Sector buffer that will be written back
+    touch(lba) {
+      dirty.add(lba);
+      return vol.sector(lba);
+    },
+
+    getFAT(n) {
+      const pair = fat.readUInt16LE(Math.floor(n * 3 / 2));
+      return n & 1 ? pair >> 4 : pair & 0xFFF;
+    },
+
+    setFAT(n, value) {
+      const off = Math.floor(n * 3 / 2);
+      const pair = fat.readUInt16LE(off);
+      fat.writeUInt16LE(n & 1 ? (pair & 0x000F) | (value << 4) : (pair & 0xF000) | value, off);
+    },
+
+    clusterSectors(cluster) {
+      const first = dataSector + (cluster - 2) * spc;
+      return Array.from({ length: spc }, (_, i) => first + i);
+    },
+
+    // Clusters are only handed out when all their sectors read cleanly
+    usable(cluster) {
+      return vol.clusterSectors(cluster).every(lba => map.sector(lba).status === 'found');
+    },
+
+    // Write the FAT copies and every changed sector. Nothing is written if
+    // any target sector is missing from the image.
+    flush() {
+      for (let k = 0; k < fs_info.fatCount; k++) {
+        for (let i = 0; i < fs_info.sectorsPerFAT; i++) {
+          fat.copy(vol.touch(layout.fatStart / bps + k * fs_info.sectorsPerFAT + i), 0, i * bps, (i + 1) * bps);
+        }
+      }
+      const lbas = [...dirty].sort((a, b) => a - b);
+      const missing = lbas.map(lba => map.sector(lba)).find(s => s.status === 'missing');
+      if (missing) throw new Error(`Sector C${missing.cylinder} H${missing.head} R${missing.R} is missing from the image`);
+      for (const lba of lbas) map.write(lba, cache.get(lba));
+    },
+  };
+  return vol;
+}
+
+// Cluster chain from a start cluster, stopping at loops and bad links
+function chain(vol, start) {
+  const clusters = [];
+  const seen = new Set();
+  for (let c = start; c >= 2 && c < vol.clusters && !seen.has(c); c = vol.getFAT(c)) {
+    seen.add(c);
+    clusters.push(c);
+  }
+  return clusters;
+}
+
+// Allocate and link `count` free clusters; returns them in chain order
+function allocate(vol, count) {
+  const found = [];
+  for (let c = 2; c < vol.clusters && found.length < count; c++) {
+    if (vol.getFAT(c) === 0 && vol.usable(c)) found.push(c);
+  }
+  if (found.length < count) {
+    const free = found.length * vol.layout.clusterBytes;
+    throw new Error(`Not enough free space: need ${count * vol.layout.clusterBytes} bytes, ${free} free`);
+  }
+  found.forEach((c, i) => vol.setFAT(c, i + 1 < found.length ? found[i + 1] : END_OF_CHAIN));
+  return found;
+}
+
+function freeChain(vol, start) {
+  for (const c of chain(vol, start)) vol.setFAT(c, 0);
+}
+
+// Fill clusters with data, zero-padding the last one
+function writeClusters(vol, clusters, data) {
+  const { bps, clusterBytes } = vol.layout;
+  clusters.forEach((c, i) => {
+    vol.clusterSectors(c).forEach((lba, j) => {
+      const sec = vol.touch(lba);
+      sec.fill(0);
+      const off = i * clusterBytes + j * bps;
+      if (off < data.length) data.copy(sec, 0, off, Math.min(off + bps, data.length));
+    });
+  });
+}
+
+// A directory as a list of sectors: the fixed root area, or the clusters of
+// a subdirectory (cluster 0 is the root)
+function openDir(vol, cluster) {
+  const { bps, rootStart, rootSize } = vol.layout;
+  if (!cluster) {
+    const first = rootStart / bps;
+    return { cluster: 0, lbas: Array.from({ length: Math.ceil(rootSize / bps) }, (_, i) => first + i) };
+  }
+  return { cluster, lbas: chain(vol, cluster).flatMap(c => vol.clusterSectors(c)) };
+}
+
+function slotCount(vol, dir) {
+  return dir.lbas.length * vol.layout.bps / 32;
+}
+
+// 32-byte entry `i` of a directory, as a view into its cached sector
+function slot(vol, dir, i, write = false) {
+  const perSector = vol.layout.bps / 32;
+  const lba = dir.lbas[Math.floor(i / perSector)];
+  const sec = write ? vol.touch(lba) : vol.sector(lba);
+  const off = (i % perSector) * 32;
+  return sec.subarray(off, off + 32);
+}
+
+function lfnChars(e) {
+  let s = '';
+  for (const off of LFN_OFFSETS) {
+    const code = e.readUInt16LE(off);
+    if (code === 0x0000 || code === 0xFFFF) break;
+    s += String.fromCharCode(code);
+  }
+  return s;
+}
+
+function shortDisplay(sfn) {
+  const base = sfn.slice(0, 8).toString('latin1').trimEnd();
+  const ext = sfn.slice(8, 11).toString('latin1').trimEnd();
+  return ext ? `${base}.${ext}` : base;
+}
+
+// Entries in use, each with the slots it occupies (LFN chain + 8.3 entry).
+// An LFN chain only names the entry if its checksum matches the alias.
+function scanDir(vol, dir) {
+  const entries = [];
+  let lfn = null;
+  for (let i = 0; i < slotCount(vol, dir); i++) {
+    const e = slot(vol, dir, i);
+    if (e[0] === 0x00) break;
+    if (e[0] === FREE) { lfn = null; continue; }
+
+    if (e[11] === ATTR_LFN) {
+      if (e[0] & 0x40) lfn = { first: i, checksum: e[13], parts: [] };
+      if (lfn) lfn.parts[(e[0] & 0x3F) - 1] = lfnChars(e);
+      continue;
+    }
+
+    const sfn = Buffer.from(e.subarray(0, 11));
+    const shortName = shortDisplay(sfn);
+    const longName = lfn && lfn.checksum === lfnChecksum(sfn) ? lfn.parts.join('') : null;
+    entries.push({
+      name: longName || shortName,
+      shortName,
+      sfn,
+      attr: e[11],
+      isDir: !!(e[11] & ATTR_DIR),
+      cluster: e.readUInt16LE(26),
+      size: e.readUInt32LE(28),
+      first: longName ? lfn.first : i,
+      slot: i,
+    });
+    lfn = null;
+  }
+  return entries;
+}
+
+function findEntry(entries, name) {
+  const key = name.toUpperCase();
+  return entries.find(e => !(e.attr & ATTR_VOLUME) && e.shortName !== '.' && e.shortName !== '..' &&
+    (e.name.toUpperCase() === key || e.shortName === key));
+}
+
+function splitPath(p) {
+  return String(p || '').split('/').filter(Boolean);
+}
+
+// Directory named by a path ('' is the root)
+function resolveDir(vol, dirPath) {
+  let dir = openDir(vol, 0);
+  for (const part of splitPath(dirPath)) {
+    const e = findEntry(scanDir(vol, dir), part);
+    if (!e || !e.isDir) throw new Error(`Directory not found: ${dirPath}`);
+    dir = openDir(vol, e.cluster);
+  }
+  return dir;
+}
+
+// Entry named by a path, with the directory that holds it
+function resolveEntry(vol, entryPath) {
+  const parts = splitPath(entryPath);
+  if (parts.length === 0) throw new Error('No path given');
+  const dir = resolveDir(vol, parts.slice(0, -1).join('/'));
+  const entry = findEntry(scanDir(vol, dir), parts[parts.length - 1]);
+  if (!entry) throw new Error(`Not found: ${entryPath}`);
+  return { dir, entry };
+}
+
+function checkName(name) {
+  if (!name || name === '.' || name === '..' || name.length > 255 || INVALID_LONG.test(name) || /^[ .]+$/.test(name)) {
+    throw new Error(`Invalid file name: ${name}`);
+  }
+}
+
+function sfnBytes(base, ext) {
+  return Buffer.from(base.padEnd(8) + ext.padEnd(3), 'latin1');
+}
+
+// 8.3 alias for a long name. A name that already fits 8.3 keeps it; others
+// are cleaned up and get a ~N tail that no other entry in the directory uses.
+// needsLFN is set unless the name is exactly its alias.
+function shortNameFor(name, taken) {
+  const upper = name.toUpperCase().replace(/^[. ]+/, '');
+  const dot = upper.lastIndexOf('.');
+  const rawBase = dot > 0 ? upper.slice(0, dot) : upper;
+  const rawExt = dot > 0 ? upper.slice(dot + 1) : '';
+  const clean = (s) => s.replace(/[ .]/g, '').replace(/[^\x20-\x7E]|[+,;=[\]]/g, '_');
+  const base = clean(rawBase);
+  const ext = clean(rawExt).slice(0, 3);
+
+  const fits = base === rawBase && ext === rawExt && base.length >= 1 && base.length <= 8 &&
+    VALID_SHORT.test(base) && VALID_SHORT.test(ext);
+  if (fits) {
+    const sfn = sfnBytes(base, ext);
+    if (!taken.has(sfn.toString('latin1'))) return { sfn, needsLFN: shortDisplay(sfn) !== name };
+  }
+
+  for (let n = 1; n < 1000000; n++) {
+    const tail = `~${n}`;
+    const sfn = sfnBytes((base || '_').slice(0, 8 - tail.length) + tail, ext);
+    if (!taken.has(sfn.toString('latin1'))) return { sfn, needsLFN: true };
+  }
+  throw new Error(`No free short name for ${name}`);
+}
+
+// LFN entries for a name, in directory order (highest sequence number first)
+function lfnEntries(name, checksum) {
+  const codes = Array.from({ length: name.length }, (_, i) => name.charCodeAt(i));
+  const count = Math.ceil(codes.length / 13);
+  if (codes.length % 13) codes.push(0x0000);
+  while (codes.length < count * 13) codes.push(0xFFFF);
+
+  const entries = [];
+  for (let seq = count; seq >= 1; seq--) {
+    const e = Buffer.alloc(32);
+    e[0] = seq | (seq === count ? 0x40 : 0);
+    e[11] = ATTR_LFN;
+    e[13] = checksum;
+    LFN_OFFSETS.forEach((off, k) => e.writeUInt16LE(codes[(seq - 1) * 13 + k], off));
+    entries.push(e);
+  }
+  return entries;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// 8.3 directory entry with creation, access and write stamps set to `date`
+function makeEntry(sfn, attr, cluster, size, date) {
+  const e = Buffer.alloc(32);
+  sfn.copy(e, 0);
+  e[11] = attr;
+  const { time, day } = dosDateTime(date);
+  e.writeUInt16LE(time, 14);
+  e.writeUInt16LE(day, 16);
+  e.writeUInt16LE(day, 18);
+  e.writeUInt16LE(time, 22);
+  e.writeUInt16LE(day, 24);
+  e.writeUInt16LE(cluster, 26);
+  e.writeUInt32LE(size, 28);
+  return e;
+}
+
+// First run of `count` free slots. A full subdirectory grows by a cluster;
+// the root directory has a fixed size.
+function findSlots(vol, dir, count) {
+  for (;;) {
+    const total = slotCount(vol, dir);
+    let run = 0;
+    for (let i = 0; i < total; i++) {
+      const first = slot(vol, dir, i)[0];
+      if (first === 0x00) {
+        if (run + total - i >= count) return i - run;
+        break;
+      }
+      run = first === FREE ? run + 1 : 0;
+      if (run === count) return i - run + 1;
+    }
+
+    if (!dir.cluster) throw new Error('Root directory is full');
+    const [added] = allocate(vol, 1);
+    const clusters = chain(vol, dir.cluster);
+    vol.setFAT(clusters[clusters.length - 1], added);
+    writeClusters(vol, [added], Buffer.alloc(0));
+    dir.lbas.push(...vol.clusterSectors(added));
+  }
+}
+
+// Write an 8.3 entry (and its LFN chain when the name needs one) into `dir`
+function insertEntry(vol, dir, name, entry) {
+  checkName(name);
+  const existing = scanDir(vol, dir);
+  if (findEntry(existing, name)) throw new Error(`${name} already exists`);
+
+  const taken = new Set(existing.map(e => e.sfn.toString('latin1')));
+  const { sfn, needsLFN } = shortNameFor(name, taken);
+  sfn.copy(entry, 0);
+  const entries = [...(needsLFN ? lfnEntries(name, lfnChecksum(sfn)) : []), entry];
+
+  const start = findSlots(vol, dir, entries.length);
+  entries.forEach((e, i) => e.copy(slot(vol, dir, start + i, true)));
+  return { name, shortName: shortDisplay(sfn) };
+}
+
+// Mark an entry and its LFN chain deleted (cluster and size stay readable)
+function removeEntry(vol, dir, entry) {
+  for (let i = entry.first; i <= entry.slot; i++) slot(vol, dir, i, true)[0] = FREE;
+}
+
+// Add a file to a directory ('' is the root)
+function addFile(buf, disk, dirPath, name, data, { date = new Date() } = {}) {
+  const vol = openVolume(buf, disk);
+  const dir = resolveDir(vol, dirPath);
+  const clusters = allocate(vol, Math.ceil(data.length / vol.layout.clusterBytes));
+  writeClusters(vol, clusters, data);
+
+  const entry = makeEntry(Buffer.alloc(11), 0x20, clusters[0] || 0, data.length, date);
+  const result = insertEntry(vol, dir, name, entry);
+  vol.flush();
+  return { ...result, cluster: clusters[0] || 0, size: data.length };
+}
+
+// Create a subdirectory holding just its . and .. entries
+function makeDirectory(buf, disk, dirPath, name, { date = new Date() } = {}) {
+  const vol = openVolume(buf, disk);
+  const parent = resolveDir(vol, dirPath);
+  const [cluster] = allocate(vol, 1);
+
+  const body = Buffer.alloc(vol.layout.clusterBytes);
+  makeEntry(sfnBytes('.', ''), ATTR_DIR, cluster, 0, date).copy(body, 0);
+  makeEntry(sfnBytes('..', ''), ATTR_DIR, parent.cluster, 0, date).copy(body, 32);
+  writeClusters(vol, [cluster], body);
+
+  const result = insertEntry(vol, parent, name, makeEntry(Buffer.alloc(11), ATTR_DIR, cluster, 0, date));
+  vol.flush();
+  return { ...result, cluster };
+}
+
+// Delete a file or an empty directory and free its clusters
+function deleteEntry(buf, disk, entryPath) {
+  const vol = openVolume(buf, disk);
+  const { dir, entry } = resolveEntry(vol, entryPath);
+  if (entry.isDir && entry.cluster >= 2) {
+    const inside = scanDir(vol, openDir(vol, entry.cluster)).filter(e => e.shortName !== '.' && e.shortName !== '..');
+    if (inside.length) throw new Error(`Directory is not empty: ${entryPath}`);
+  }
+  removeEntry(vol, dir, entry);
+  if (entry.cluster >= 2) freeChain(vol, entry.cluster);
+  vol.flush();
+  return { name: entry.name, cluster: entry.cluster, size: entry.size };
+}
+
+// Rename an entry within its directory; attributes, dates and data stay.
+// The old slots are freed first so a case-only rename can reuse them.
+function renameEntry(buf, disk, entryPath, newName) {
+  const vol = openVolume(buf, disk);
+  const { dir, entry } = resolveEntry(vol, entryPath);
+  const copy = Buffer.from(slot(vol, dir, entry.slot));
+
+  removeEntry(vol, dir, entry);
+  const result = insertEntry(vol, dir, newName, copy);
+  vol.flush();
+  return { ...result, cluster: entry.cluster };
+}
+
+// Undelete a file in place: the deleted 8.3 entry with this start cluster and
+// size gets `firstChar` back as the first letter of its name, and its FAT
+// chain is rebuilt over the contiguous clusters from the start cluster, the
+// same clusters readDeletedFiles checked and recover-file reads. Deleted LFN
+// entries in front of it whose checksum matches the restored name get their
+// sequence numbers back, so the long name returns too.
+function undeleteFile(buf, disk, dirPath, cluster, size, firstChar = '_') {
+  const vol = openVolume(buf, disk);
+  const dir = resolveDir(vol, dirPath);
+  const char = String(firstChar).toUpperCase();
+  if (char.length !== 1 || !VALID_SHORT.test(char)) throw new Error(`Invalid first character: ${firstChar}`);
+
+  let index = -1;
+  for (let i = 0; i < slotCount(vol, dir) && index < 0; i++) {
+    const e = slot(vol, dir, i);
+    if (e[0] === 0x00) break;
+    if (e[0] === FREE && !(e[11] & (ATTR_DIR | ATTR_VOLUME)) && e[11] !== ATTR_LFN &&
+        e.readUInt16LE(26) === cluster && e.readUInt32LE(28) === size) index = i;
+  }
+  if (index < 0) throw new Error(`No deleted file with cluster ${cluster} and size ${size}`);
+
+  const sfn = Buffer.from(slot(vol, dir, index).subarray(0, 11));
+  sfn[0] = char.charCodeAt(0);
+  const shortName = shortDisplay(sfn);
+
+  // LFN slots nearest first (sequence 1 up)
+  const lfnSlots = [];
+  const checksum = lfnChecksum(sfn);
+  for (let i = index - 1; i >= 0 && lfnSlots.length < 20; i--) {
+    const e = slot(vol, dir, i);
+    if (e[0] !== FREE || e[11] !== ATTR_LFN || e[13] !== checksum) break;
+    lfnSlots.push(i);
+  }
+  const name = lfnSlots.length ? lfnSlots.map(i => lfnChars(slot(vol, dir, i))).join('') : shortName;
+
+  const existing = scanDir(vol, dir);
+  if (existing.some(e => e.sfn.equals(sfn)) || findEntry(existing, name)) throw new Error(`${name} already exists`);
+
+  const count = Math.ceil(size / vol.layout.clusterBytes);
+  for (let c = cluster; c < cluster + count; c++) {
+    if (c >= vol.clusters || vol.getFAT(c) !== 0) throw new Error(`Cluster ${c} is in use by another file`);
+  }
+  for (let c = cluster; c < cluster + count; c++) vol.setFAT(c, c + 1 < cluster + count ? c + 1 : END_OF_CHAIN);
+
+  lfnSlots.forEach((i, k) => {
+    slot(vol, dir, i, true)[0] = (k + 1) | (k === lfnSlots.length - 1 ? 0x40 : 0);
+  });
+  slot(vol, dir, index, true)[0] = sfn[0];
+  vol.flush();
+  return { name, shortName, cluster, size };
+}
+
+module.exports = {
+  addFile,
+  makeDirectory,
+  deleteEntry,
+  renameEntry,
+  undeleteFile,
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const { parseAmsdosHeader, stripAmsdosHeader } = require('./amsdos');
+const { parsePlus3Header, stripPlus3Header } = require('./plus3dos');
+const locomotive = require('./locomotive-basic');
+const sinclair = require('./sinclair-basic');
+
+// File content viewer. Files from 8-bit systems carry a header in front of
+// the data and BASIC programs are stored tokenized; the viewer decodes both
+// so a file can be read without a hex dump.
+
+const hex4 = (n) => '&' + n.toString(16).toUpperCase().padStart(4, '0');
+
+// File headers: parser, stripper, display rows and the BASIC dialect
+const AMSDOS = {
+  name: 'AMSDOS',
+  parse: parseAmsdosHeader,
+  strip: stripAmsdosHeader,
+  fields: (h) => [
+    ['Type', h.type + (h.protected ? ' (protected)' : '')],
+    ['Load / exec', `${hex4(h.loadAddress)} / ${hex4(h.execAddress)}`],
+    ['Length', `${h.length} bytes (logical ${h.logicalLength})`],
+  ],
+  isBasic: (h) => h.type === 'BASIC',
+  basic: { language: 'Locomotive BASIC', detokenize: locomotive.detokenize },
+};
+
+const PLUS3DOS = {
+  name: '+3DOS',
+  parse: parsePlus3Header,
+  strip: stripPlus3Header,
+  fields: (h) => [
+    ['Type', h.type],
+    ...(h.type === 'Program' ? [
+      ['Autostart', h.autostart != null ? `line ${h.autostart}` : 'none'],
+      ['Program', `${h.programLength} bytes, ${h.length - h.programLength} bytes of variables`],
+    ] : []),
+    ...(h.loadAddress != null ? [['Load address', `${h.loadAddress} (${hex4(h.loadAddress)})`]] : []),
+    ...(h.variable ? [['Array', h.variable]] : []),
+    ['Length', `${h.length} bytes`],
+  ],
+  isBasic: (h) => h.type === 'Program',
+  basic: { language: 'Sinclair BASIC', detokenize: sinclair.detokenize },
+};
+
+// Headers to look for, by filesystem. +3 files can turn up on CPC-format
+// disks too; the +3DOS signature keeps the two apart.
+const HEADERS = {
+  'CP/M': [PLUS3DOS, AMSDOS],
+  '+3DOS': [PLUS3DOS],
+};
+
+// The first header type that recognises the file
+function findHeader(data, fs_info) {
+  for (const type of HEADERS[fs_info?.type] || []) {
+    const header = type.parse(data);
+    if (header) return { type, header };
+  }
+  return null;
+}
+
+const HEX_LIMIT = 4096;
+
+// End of the text: a ^Z end-of-file marker, less any NUL padding
+function textEnd(data) {
+  let end = data.indexOf(0x1A);
+  if (end < 0) end = data.length;
+  while (end > 0 && data[end - 1] === 0) end--;
+  return end;
+}
+
+// Mostly printable bytes up to the end of the text
+function looksLikeText(data) {
+  const body = data.slice(0, Math.min(textEnd(data), 4096));
+  if (body.length === 0) return false;
+  let printable = 0;
+  for (const c of body) {
+    if ((c >= 0x20 && c < 0x7F) || c === 0x09 || c === 0x0A || c === 0x0D) printable++;
+  }
+  return printable / body.length >= 0.95;
+}
+
+function decodeText(data) {
+  return data.slice(0, textEnd(data)).toString('latin1').replace(/\r\n?/g, '\n');
+}
+
+function hexDump(data) {
+  const lines = [];
+  for (let off = 0; off < data.length; off += 16) {
+    const row = data.slice(off, off + 16);
+    const hex = [...row].map(b => b.toString(16).padStart(2, '0')).join(' ');
+    const ascii = [...row].map(b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${off.toString(16).padStart(4, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+// Decode a file for display:
+// { header, headerType, headerFields, kind: 'basic' | 'protected' | 'text' |
+//   'binary', language?, text }
+// headerFields are [label, value] rows for the viewer. Protected BASIC is
+// encrypted and has no text; binary files get a hex dump of the first 4K.
+function viewFile(data, fs_info) {
+  const found = findHeader(data, fs_info);
+  if (!found) return describeBody(data, { header: null });
+
+  const { type, header } = found;
+  const result = {
+    header,
+    headerType: type.name,
+    headerFields: [...type.fields(header), ['Checksum', header.checksumOk ? 'OK' : `bad (${header.checksum})`]],
+  };
+  // A header that is neither checksummed nor sized right may be file data:
+  // show it, but decode the file as it is
+  if (!header.checksumOk && !header.lengthOk) return describeBody(data, result);
+  const body = type.strip(data);
+
+  if (type.isBasic(header)) {
+    if (header.protected) return { ...result, kind: 'protected', text: null };
+    return { ...result, kind: 'basic', language: type.basic.language, text: type.basic.detokenize(body, header) };
+  }
+  return describeBody(body, result);
+}
+
+function describeBody(body, result) {
+  if (looksLikeText(body)) return { ...result, kind: 'text', text: decodeText(body) };
+  return {
+    ...result,
+    kind: 'binary',
+    text: hexDump(body.slice(0, HEX_LIMIT)),
+    truncated: body.length > HEX_LIMIT,
+  };
+}
+
+// File contents without the platform header (unchanged if there is none)
+function stripHeader(data, fs_info) {
+  const found = findHeader(data, fs_info);
+  return found ? found.type.strip(data) : data;
+}
+
+module.exports = {
+  viewFile,
+  findHeader,
+  stripHeader,
+  looksLikeText,
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+const edsk = require('./edsk-parser');
+const amiga = require('./amigados');
+const cpm = require('./cpm');
+
+// Filesystems the Files tab can browse. Each lists entries shaped like the
+// FAT reader's ({ name, path, isDir, size, cluster, date, time, ... }) and
+// reads a file by the `cluster` key of its entry.
+const HANDLERS = {
+  FAT: {
+    list: edsk.readFATDirectory,
+    read: edsk.readFileData,
+  },
+  AmigaDOS: {
+    list: amiga.readAmigaDirectory,
+    read: amiga.readAmigaFileData,
+  },
+  'CP/M': {
+    list: cpm.readCpmDirectory,
+    read: cpm.readCpmFileData,
+  },
+  '+3DOS': {
+    list: cpm.readCpmDirectory,
+    read: cpm.readCpmFileData,
+  },
+};
+
+function hasFiles(disk) {
+  return !!HANDLERS[disk?.filesystem?.type];
+}
+
+function listFiles(buf, disk) {
+  const h = HANDLERS[disk.filesystem?.type];
+  return h ? h.list(buf, disk, disk.filesystem) : [];
+}
+
+function readFile(buf, disk, cluster, size) {
+  const h = HANDLERS[disk.filesystem?.type];
+  return h ? h.read(buf, disk, disk.filesystem, cluster, size) : null;
+}
+
+module.exports = {
+  hasFiles,
+  listFiles,
+  readFile,
+};
@@ -0,0 +1,354 @@
+'use strict';
+
+const { fatLayout, fatSectorMap, lfnChecksum, extractLFNChars } = require('./edsk-parser');
+
+// FAT12 consistency check in the spirit of CHKDSK. Nothing is repaired;
+// the result is a list of findings, each pointing at the clusters and
+// sectors involved. Every sector a finding rests on carries the read status
+// from the sector map, so a finding built on a sector that didn't read
+// cleanly is flagged readError: the structure may be fine on the disk and
+// only damaged in this read.
+
+const END_OF_CHAIN = 0xFF8;
+const BAD_CLUSTER = 0xFF7;
+const MAX_FAT12_CLUSTERS = 4084;
+const MAX_LISTED = 64;
+
+// Characters DOS never puts in an 8.3 name
+const ILLEGAL_SHORT = new Set([...'"*+,./:;<=>?[\\]|'].map(c => c.charCodeAt(0)));
+
+function decodeFAT(bytes, count) {
+  const fat = new Uint16Array(count);
+  for (let n = 0; n < count; n++) {
+    const off = Math.floor(n * 3 / 2);
+    if (off + 1 >= bytes.length) break;
+    const pair = bytes.readUInt16LE(off);
+    fat[n] = n & 1 ? pair >> 4 : pair & 0xFFF;
+  }
+  return fat;
+}
+
+function shortName(e) {
+  const base = e.slice(0, 8).toString('latin1').trimEnd();
+  const ext = e.slice(8, 11).toString('latin1').trimEnd();
+  return ext ? `${base}.${ext}` : base;
+}
+
+// What is wrong with an 8.3 name, or null. 0x05 in the first byte stands
+// for 0xE5.
+function badNameChars(e) {
+  if (e[0] === 0x20) return 'starts with a space';
+  const bad = [];
+  for (let i = 0; i < 11; i++) {
+    const c = e[i];
+    if (i === 0 && c === 0x05) continue;
+    if (c < 0x20 || ILLEGAL_SHORT.has(c)) bad.push(`0x${c.toString(16).toUpperCase().padStart(2, '0')}`);
+    else if (c >= 0x61 && c <= 0x7A) bad.push(`'${String.fromCharCode(c)}'`);
+  }
+  return bad.length ? `illegal character${bad.length > 1 ? 's' : ''} ${[...new Set(bad)].join(' ')}` : null;
+}
+
+// Check a FAT volume. Returns { summary, findings }; findings are
+// { severity: 'error' | 'warning', check, message, path?, clusters, sectors,
+//   readError }. clusters and sectors list at most 64 entries each.
+function checkFAT(buf, disk, fs_info) {
+  if (fs_info?.type !== 'FAT') throw new Error('Not a FAT disk');
+
+  const layout = fatLayout(fs_info);
+  const { bps, spc, clusterBytes, fatStart, rootStart, rootSize, dataStart } = layout;
+  const map = fatSectorMap(buf, disk, fs_info);
+  const spf = fs_info.sectorsPerFAT;
+  const fatLBA = fatStart / bps;
+  const dataLBA = dataStart / bps;
+  const clusterCount = Math.floor((fs_info.totalSectors - dataLBA) / spc);
+  const total = Math.min(clusterCount + 2, Math.floor(spf * bps * 2 / 3));
+
+  const findings = [];
+  const counts = { files: 0, directories: 0, used: 0, free: 0, bad: 0, lost: 0 };
+  const sectorRef = (lba) => {
+    const { cylinder, head, R, status } = map.sector(lba);
+    return { lba, cylinder, head, R, status };
+  };
+  const clusterRef = (c) => ({ cluster: c, ...sectorRef(dataLBA + (c - 2) * spc) });
+  // FAT sectors holding the entries of these clusters (an entry can
+  // straddle two sectors)
+  const fatSectors = (clusters, copy = 0) => {
+    const lbas = new Set();
+    for (const c of clusters) {
+      const off = Math.floor(c * 3 / 2);
+      lbas.add(fatLBA + copy * spf + Math.floor(off / bps));
+      lbas.add(fatLBA + copy * spf + Math.floor((off + 1) / bps));
+    }
+    return [...lbas].sort((a, b) => a - b);
+  };
+
+  function report(severity, check, message, { path = null, clusters = [], lbas = [] } = {}) {
+    const sectors = [...new Set(lbas)].slice(0, MAX_LISTED).map(sectorRef);
+    findings.push({
+      severity,
+      check,
+      message,
+      path,
+      clusters: clusters.slice(0, MAX_LISTED).map(clusterRef),
+      clusterCount: clusters.length,
+      sectors,
+      readError: sectors.some(s => s.status !== 'found'),
+    });
+  }
+
+  // ── Boot sector ──
+  const boot = map.read(0);
+  const b = boot.data;
+  const atari = fs_info.platform === 'Atari ST';
+  if (!atari && (b[510] !== 0x55 || b[511] !== 0xAA)) {
+    report('warning', 'bpb', 'Boot sector has no 0x55AA signature', { lbas: [0] });
+  }
+  if (!atari && b[0] !== 0xEB && b[0] !== 0xE9) {
+    report('warning', 'bpb', `Boot sector doesn't start with a jump (0x${b[0].toString(16).toUpperCase()})`, { lbas: [0] });
+  }
+  const media = b[21];
+  if (media !== 0xF0 && media < 0xF8) {
+    report('error', 'bpb', `Invalid media descriptor 0x${media.toString(16).toUpperCase()}`, { lbas: [0] });
+  }
+  if ((fs_info.rootEntries * 32) % bps !== 0) {
+    report('warning', 'bpb', `Root directory size (${fs_info.rootEntries} entries) doesn't fill whole sectors`, { lbas: [0] });
+  }
+  if (clusterCount > MAX_FAT12_CLUSTERS) {
+    report('error', 'bpb', `${clusterCount} clusters is too many for FAT12; the rest of the volume wasn't checked`, { lbas: [0] });
+    return finish();
+  }
+  const spfNeeded = Math.ceil((clusterCount + 2) * 3 / 2 / bps);
+  if (spf < spfNeeded) {
+    report('error', 'bpb', `FAT is ${spf} sectors but ${clusterCount} clusters need ${spfNeeded}; clusters past ${total - 1} can't be used`, { lbas: [0] });
+  }
+  const geometry = fs_info.sectorsPerTrack * (fs_info.heads || 1) * disk.tracks;
+  if (fs_info.totalSectors > geometry) {
+    report('error', 'bpb', `BPB gives ${fs_info.totalSectors} sectors, the image has room for ${geometry}`, { lbas: [0] });
+  }
+  if ((fs_info.heads || 1) !== disk.sides) {
+    report('warning', 'bpb', `BPB gives ${fs_info.heads} head${fs_info.heads === 1 ? '' : 's'}, the image has ${disk.sides} side${disk.sides === 1 ? '' : 's'}`, { lbas: [0] });
+  }
+
+  // ── FAT copies ──
+  const copies = [];
+  for (let k = 0; k < fs_info.fatCount; k++) {
+    copies.push(decodeFAT(map.readSectors(fatLBA + k * spf, spf).data, total));
+  }
+  const fat = copies[0];
+  if ((fat[0] & 0xFF) !== media) {
+    report('warning', 'bpb', `FAT media byte 0x${(fat[0] & 0xFF).toString(16).toUpperCase()} doesn't match the BPB (0x${media.toString(16).toUpperCase()})`,
+      { lbas: [0, fatLBA] });
+  }
+  for (let k = 1; k < copies.length; k++) {
+    const differ = [];
+    for (let n = 2; n < total; n++) if (copies[k][n] !== fat[n]) differ.push(n);
+    if (!differ.length) continue;
+    report('error', 'fat-copies', `FAT copy ${k + 1} differs from copy 1 in ${differ.length} entr${differ.length > 1 ? 'ies' : 'y'}`,
+      { clusters: differ, lbas: [...fatSectors(differ), ...fatSectors(differ, k)] });
+  }
+
+  // ── Cluster values ──
+  const bad = [];
+  const invalid = [];
+  for (let c = 2; c < total; c++) {
+    const v = fat[c];
+    if (v === 0) counts.free++; else if (v !== BAD_CLUSTER) counts.used++;
+    if (v === BAD_CLUSTER) bad.push(c);
+    else if (v === 1 || (v >= total && v < END_OF_CHAIN)) invalid.push(c);
+  }
+  if (invalid.length) {
+    const first = fat[invalid[0]];
+    report('error', 'bad-link', `${invalid.length} FAT entr${invalid.length > 1 ? 'ies link' : 'y links'} outside the volume or to reserved values (cluster ${invalid[0]} -> 0x${first.toString(16).toUpperCase()})`,
+      { clusters: invalid, lbas: fatSectors(invalid) });
+  }
+  counts.bad = bad.length;
+  if (bad.length) {
+    report('warning', 'bad-cluster', `${bad.length} cluster${bad.length > 1 ? 's' : ''} marked bad (${bad.length * clusterBytes} bytes)`,
+      { clusters: bad, lbas: fatSectors(bad) });
+  }
+
+  // ── Directory tree ──
+  const owner = new Map(); // cluster -> path
+  const crossLinked = new Map(); // 'pathA\0pathB' -> clusters
+  const visitedDirs = new Set();
+
+  // Follow a chain from an entry, claiming its clusters
+  function walkChain(path, start, entryLBA) {
+    const clusters = [];
+    const seen = new Set();
+    let problem = null;
+    for (let c = start; ;) {
+      if (seen.has(c)) { problem = `chain loops back to cluster ${c}`; break; }
+      seen.add(c);
+      clusters.push(c);
+      if (owner.has(c)) {
+        const key = `${owner.get(c)}\0${path}`;
+        if (!crossLinked.has(key)) crossLinked.set(key, []);
+        crossLinked.get(key).push(c);
+      } else {
+        owner.set(c, path);
+      }
+
+      const next = fat[c];
+      if (next >= END_OF_CHAIN) break;
+      if (next === 0) { problem = `chain runs into free cluster after cluster ${c}`; break; }
+      if (next === BAD_CLUSTER) { problem = `chain reaches a cluster marked bad (${c})`; break; }
+      if (next < 2 || next >= total) { problem = `chain breaks at cluster ${c} (link 0x${next.toString(16).toUpperCase()})`; break; }
+      c = next;
+    }
+    if (problem) report('error', 'bad-chain', `${path}: ${problem}`, { path, clusters, lbas: [entryLBA, ...fatSectors([clusters[clusters.length - 1]])] });
+    return { clusters, broken: !!problem };
+  }
+
+  // Entries of a directory with the LBA each was read from
+  function readEntries(lbas) {
+    const entries = [];
+    let lfn = null;
+    for (const lba of lbas) {
+      const { data } = map.read(lba);
+      for (let off = 0; off + 32 <= bps; off += 32) {
+        const e = data.slice(off, off + 32);
+        if (e[0] === 0x00) return entries;
+        if (e[0] === 0xE5) { lfn = null; continue; }
+        if (e[11] === 0x0F) {
+          if (e[0] & 0x40) lfn = { checksum: e[13], parts: [] };
+          if (lfn) lfn.parts[(e[0] & 0x3F) - 1] = extractLFNChars(e, 0).join('');
+          continue;
+        }
+        const longName = lfn && lfn.checksum === lfnChecksum(e.slice(0, 11)) ? lfn.parts.join('') : null;
+        lfn = null;
+        entries.push({ e, lba, name: longName || shortName(e) });
+      }
+    }
+    return entries;
+  }
+
+  function walkDir(lbas, prefix, self, parent) {
+    const entries = readEntries(lbas);
+    entries.forEach(({ e, lba, name }, i) => {
+      const attr = e[11];
+      const path = prefix ? `${prefix}/${name}` : name;
+      const cluster = e.readUInt16LE(26);
+      const size = e.readUInt32LE(28);
+
+      // . and .. open every subdirectory
+      if (self && i < 2) {
+        const dots = i === 0 ? '.' : '..';
+        const want = i === 0 ? self : parent;
+        if (shortName(e) !== dots || !(attr & 0x10) || cluster !== want) {
+          report('error', 'directory', `${prefix}: entry ${i + 1} should be '${dots}' pointing to cluster ${want}`,
+            { path: prefix, lbas: [lba] });
+        }
+        if (shortName(e) === dots) return;
+      }
+      if (attr & 0x08) {
+        if (self) report('warning', 'directory', `Volume label entry '${shortName(e)}' inside a subdirectory`, { path, lbas: [lba] });
+        return;
+      }
+
+      const badName = badNameChars(e);
+      if (badName) report('warning', 'bad-name', `${path}: name has ${badName}`, { path, lbas: [lba] });
+      if (attr & 0xC0) {
+        report('warning', 'directory', `${path}: reserved attribute bits set (0x${attr.toString(16).toUpperCase()})`, { path, lbas: [lba] });
+      }
+
+      const isDir = !!(attr & 0x10);
+      if (isDir) counts.directories++; else counts.files++;
+
+      if (cluster === 0) {
+        if (isDir) report('error', 'directory', `${path}: directory has no clusters`, { path, lbas: [lba] });
+        else if (size > 0) report('error', 'chain-length', `${path}: ${size} bytes but no clusters`, { path, lbas: [lba] });
+        return;
+      }
+      if (cluster < 2 || cluster >= total) {
+        report('error', 'bad-chain', `${path}: invalid start cluster ${cluster}`, { path, lbas: [lba] });
+        return;
+      }
+      if (fat[cluster] === 0) {
+        report('error', 'bad-chain', `${path}: starts at cluster ${cluster}, which is free`, { path, clusters: [cluster], lbas: [lba, ...fatSectors([cluster])] });
+        return;
+      }
+
+      const { clusters, broken } = walkChain(path, cluster, lba);
+      if (isDir) {
+        if (visitedDirs.has(cluster)) return;
+        visitedDirs.add(cluster);
+        const dirLBAs = clusters.flatMap(c => Array.from({ length: spc }, (_, j) => dataLBA + (c - 2) * spc + j));
+        walkDir(dirLBAs, path, cluster, self || 0);
+        return;
+      }
+
+      const expected = Math.ceil(size / clusterBytes);
+      if (!broken && clusters.length !== expected) {
+        const which = clusters.length < expected ? 'shorter' : 'longer';
+        report('error', 'chain-length',
+          `${path}: chain of ${clusters.length} cluster${clusters.length > 1 ? 's' : ''} is ${which} than its size (${size} bytes needs ${expected})`,
+          { path, clusters, lbas: [lba, ...fatSectors([clusters[clusters.length - 1]])] });
+      }
+    });
+  }
+
+  const rootLBAs = Array.from({ length: Math.ceil(rootSize / bps) }, (_, i) => rootStart / bps + i);
+  walkDir(rootLBAs, '', 0, 0);
+
+  for (const [key, clusters] of crossLinked) {
+    const [a, bPath] = key.split('\0');
+    report('error', 'cross-link', `${a} and ${bPath} are cross-linked on ${clusters.length} cluster${clusters.length > 1 ? 's' : ''}`,
+      { path: bPath, clusters, lbas: fatSectors(clusters) });
+  }
+
+  // ── Lost chains: allocated clusters no entry reaches ──
+  const lost = new Set();
+  for (let c = 2; c < total; c++) {
+    if (fat[c] !== 0 && fat[c] !== BAD_CLUSTER && !owner.has(c)) lost.add(c);
+  }
+  const linkedTo = new Set([...lost].map(c => fat[c]).filter(v => lost.has(v)));
+  const claimed = new Set();
+  const chains = [];
+  const follow = (head) => {
+    const clusters = [];
+    for (let c = head; lost.has(c) && !claimed.has(c); c = fat[c]) {
+      claimed.add(c);
+      clusters.push(c);
+    }
+    return clusters;
+  };
+  for (const c of lost) if (!linkedTo.has(c)) chains.push(follow(c));
+  for (const c of lost) if (!claimed.has(c)) chains.push(follow(c)); // lost loops
+  counts.lost = lost.size;
+  for (const clusters of chains) {
+    report('warning', 'lost-chain', `Lost chain of ${clusters.length} cluster${clusters.length > 1 ? 's' : ''} (${clusters.length * clusterBytes} bytes) from cluster ${clusters[0]}`,
+      { clusters, lbas: fatSectors(clusters) });
+  }
+
+  return finish();
+
+  function finish() {
+    // Metadata sectors that didn't read cleanly
+    const unreadable = [];
+    const area = (what, first, count) => {
+      const badLBAs = [];
+      for (let i = 0; i < count; i++) if (map.sector(first + i).status !== 'found') badLBAs.push(first + i);
+      if (badLBAs.length) unreadable.push({ what, sectors: badLBAs.map(sectorRef) });
+    };
+    area('Boot sector', 0, 1);
+    for (let k = 0; k < fs_info.fatCount; k++) area(`FAT copy ${k + 1}`, fatLBA + k * spf, spf);
+    area('Root directory', rootStart / bps, Math.ceil(rootSize / bps));
+
+    return {
+      summary: {
+        clusters: total - 2,
+        ...counts,
+        errors: findings.filter(f => f.severity === 'error').length,
+        warnings: findings.filter(f => f.severity === 'warning').length,
+        readErrors: findings.filter(f => f.readError).length,
+        unreadable,
+      },
+      findings,
+    };
+  }
+}
+
+module.exports = {
+  checkFAT,
+};
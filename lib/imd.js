@@ -0,0 +1,138 @@
+'use strict';
+
+const { buildDisk } = require('./disk-builder');
+
+// ImageDisk images (.imd)
+// - ASCII header "IMD v.vv: dd/mm/yyyy hh:mm:ss", comment, 0x1A terminator
+// - Per track: mode, cylinder, head (+ map flags), sector count, size code,
+//   sector numbering map, optional cylinder map, optional head map,
+//   optional 16-bit size table (size code 0xFF)
+// - Per sector: a type byte followed by data, a single fill byte or nothing
+
+const MODES = [
+  { encoding: 'FM', rate: 500 },
+  { encoding: 'FM', rate: 300 },
+  { encoding: 'FM', rate: 250 },
+  { encoding: 'MFM', rate: 500 },
+  { encoding: 'MFM', rate: 300 },
+  { encoding: 'MFM', rate: 250 },
+];
+
+// Sector record types: data layout and the FDC status they stand for
+const RECORDS = {
+  0x00: { data: 'none' },
+  0x01: { data: 'full' },
+  0x02: { data: 'fill' },
+  0x03: { data: 'full', deleted: true },
+  0x04: { data: 'fill', deleted: true },
+  0x05: { data: 'full', error: true },
+  0x06: { data: 'fill', error: true },
+  0x07: { data: 'full', deleted: true, error: true },
+  0x08: { data: 'fill', deleted: true, error: true },
+};
+
+function isIMD(buf) {
+  return buf.length >= 4 && buf.slice(0, 4).toString('ascii') === 'IMD ';
+}
+
+function parseIMD(buf) {
+  if (!isIMD(buf)) throw new Error('Not an IMD image');
+
+  const headerEnd = buf.indexOf(0x1A);
+  if (headerEnd === -1) throw new Error('IMD comment terminator not found');
+
+  const text = buf.slice(0, headerEnd).toString('latin1');
+  const firstLine = text.split(/\r?\n/)[0];
+  const m = firstLine.match(/^IMD\s+([\d.]+):\s*(\d+)\/(\d+)\/(\d+)\s+(\d+:\d+:\d+)/);
+  const comment = text.slice(firstLine.length).replace(/^\r?\n/, '').replace(/\s+$/, '');
+
+  const decoded = [];
+  let off = headerEnd + 1;
+
+  while (off < buf.length) {
+    if (off + 5 > buf.length) throw new Error(`IMD track header truncated at offset ${off}`);
+    const mode = buf[off];
+    const cyl = buf[off + 1];
+    const headByte = buf[off + 2];
+    const count = buf[off + 3];
+    const sizeCode = buf[off + 4];
+    off += 5;
+
+    if (mode > 5) throw new Error(`Invalid IMD track mode ${mode} at cylinder ${cyl}`);
+    const head = headByte & 0x01;
+    const hasCylMap = !!(headByte & 0x80);
+    const hasHeadMap = !!(headByte & 0x40);
+
+    const ids = buf.slice(off, off + count); off += count;
+    const cylMap = hasCylMap ? buf.slice(off, off + count) : null; if (hasCylMap) off += count;
+    const headMap = hasHeadMap ? buf.slice(off, off + count) : null; if (hasHeadMap) off += count;
+
+    let sizes;
+    if (sizeCode === 0xFF) {
+      sizes = [];
+      for (let i = 0; i < count; i++) sizes.push(buf.readUInt16LE(off + i * 2));
+      off += count * 2;
+    } else {
+      if (sizeCode > 6) throw new Error(`Invalid IMD sector size code ${sizeCode}`);
+      sizes = new Array(count).fill(128 << sizeCode);
+    }
+
+    const sectors = [];
+    for (let i = 0; i < count; i++) {
+      if (off >= buf.length) throw new Error(`IMD sector data truncated at cylinder ${cyl} head ${head}`);
+      const type = buf[off++];
+      const rec = RECORDS[type];
+      if (!rec) throw new Error(`Unknown IMD sector type 0x${type.toString(16)} at cylinder ${cyl} head ${head}`);
+
+      const size = sizes[i];
+      let data = null;
+      if (rec.data === 'full') {
+        data = buf.slice(off, off + size);
+        off += size;
+      } else if (rec.data === 'fill') {
+        data = Buffer.alloc(size, buf[off]);
+        off += 1;
+      }
+
+      let ST1 = 0;
+      let ST2 = 0;
+      if (rec.data === 'none') ST1 |= 0x04;
+      if (rec.error) { ST1 |= 0x20; ST2 |= 0x20; }
+      if (rec.deleted) ST2 |= 0x40;
+
+      sectors.push({
+        C: cylMap ? cylMap[i] : cyl,
+        H: headMap ? headMap[i] : head,
+        R: ids[i],
+        N: sizeCode === 0xFF ? Math.max(0, Math.round(Math.log2(size / 128))) : sizeCode,
+        ST1, ST2,
+        data,
+        imdType: type,
+      });
+    }
+
+    const { encoding, rate } = MODES[mode];
+    decoded.push({
+      track: cyl,
+      side: head,
+      encoding,
+      recMode: encoding === 'FM' ? 1 : 2,
+      dataRate: rate === 500 ? 2 : 1,
+      sectorSizeCode: sizeCode === 0xFF ? undefined : sizeCode,
+      sectors,
+    });
+  }
+
+  return buildDisk('IMD', decoded, {
+    imageInfo: {
+      version: m ? m[1] : null,
+      date: m ? `${m[4]}-${m[3].padStart(2, '0')}-${m[2].padStart(2, '0')} ${m[5]}` : null,
+      comment: comment || null,
+    },
+  });
+}
+
+module.exports = {
+  isIMD,
+  parseIMD,
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+// Locomotive BASIC (Amstrad CPC) detokenizer. A program is a list of lines:
+// length (2 bytes, including itself; 0 ends the program), line number
+// (2 bytes), tokens, 0x00. Spaces are stored as typed, so nothing is added
+// between tokens.
+
+// Keywords 0x80-0xFE
+const KEYWORDS = [
+  'AFTER', 'AUTO', 'BORDER', 'CALL', 'CAT', 'CHAIN', 'CLEAR', 'CLG',
+  'CLOSEIN', 'CLOSEOUT', 'CLS', 'CONT', 'DATA', 'DEF', 'DEFINT', 'DEFREAL',
+  'DEFSTR', 'DEG', 'DELETE', 'DIM', 'DRAW', 'DRAWR', 'EDIT', 'ELSE',
+  'END', 'ENT', 'ENV', 'ERASE', 'ERROR', 'EVERY', 'FOR', 'GOSUB',
+  'GOTO', 'IF', 'INK', 'INPUT', 'KEY', 'LET', 'LINE', 'LIST',
+  'LOAD', 'LOCATE', 'MEMORY', 'MERGE', 'MID$', 'MODE', 'MOVE', 'MOVER',
+  'NEXT', 'NEW', 'ON', 'ON BREAK', 'ON ERROR GOTO', 'ON SQ', 'OPENIN', 'OPENOUT',
+  'ORIGIN', 'OUT', 'PAPER', 'PEN', 'PLOT', 'PLOTR', 'POKE', 'PRINT',
+  '\'', 'RAD', 'RANDOMIZE', 'READ', 'RELEASE', 'REM', 'RENUM', 'RESTORE',
+  'RESUME', 'RETURN', 'RUN', 'SAVE', 'SOUND', 'SPEED', 'STOP', 'SYMBOL',
+  'TAG', 'TAGOFF', 'TROFF', 'TRON', 'WAIT', 'WEND', 'WHILE', 'WIDTH',
+  'WINDOW', 'WRITE', 'ZONE', 'DI', 'EI', 'FILL', 'GRAPHICS', 'MASK',
+  'FRAME', 'CURSOR', null, 'ERL', 'FN', 'SPC', 'STEP', 'SWAP',
+  null, null, 'TAB', 'THEN', 'TO', 'USING', '>', '=',
+  '>=', '<', '<>', '<=', '+', '-', '*', '/',
+  '^', '\\', 'AND', 'MOD', 'OR', 'XOR', 'NOT',
+];
+
+// Functions, prefixed with 0xFF
+const FUNCTIONS = {
+  0x00: 'ABS', 0x01: 'ASC', 0x02: 'ATN', 0x03: 'CHR$', 0x04: 'CINT', 0x05: 'COS',
+  0x06: 'CREAL', 0x07: 'EXP', 0x08: 'FIX', 0x09: 'FRE', 0x0A: 'INKEY', 0x0B: 'INP',
+  0x0C: 'INT', 0x0D: 'JOY', 0x0E: 'LEN', 0x0F: 'LOG', 0x10: 'LOG10', 0x11: 'LOWER$',
+  0x12: 'PEEK', 0x13: 'REMAIN', 0x14: 'SGN', 0x15: 'SIN', 0x16: 'SPACE$', 0x17: 'SQ',
+  0x18: 'SQR', 0x19: 'STR$', 0x1A: 'TAN', 0x1B: 'UNT', 0x1C: 'UPPER$', 0x1D: 'VAL',
+  0x40: 'EOF', 0x41: 'ERR', 0x42: 'HIMEM', 0x43: 'INKEY$', 0x44: 'PI', 0x45: 'RND',
+  0x46: 'TIME', 0x47: 'XPOS', 0x48: 'YPOS', 0x49: 'DERR',
+  0x71: 'BIN$', 0x72: 'DEC$', 0x73: 'HEX$', 0x74: 'INSTR', 0x75: 'LEFT$', 0x76: 'MAX',
+  0x77: 'MIN', 0x78: 'POS', 0x79: 'RIGHT$', 0x7A: 'ROUND', 0x7B: 'STRING$', 0x7C: 'TEST',
+  0x7D: 'TESTR', 0x7E: 'COPYCHR$', 0x7F: 'VPOS',
+};
+
+const T_SEPARATOR = 0x01;
+const T_ELSE = 0x97;
+const T_DATA = 0x8C;
+const T_COMMENT = 0xC0; // '
+const T_REM = 0xC5;
+
+const PROGRAM_BASE = 0x170; // where BASIC programs load
+
+// Variable type suffixes: 0x02 integer, 0x03 string, 0x04 real; 0x0B-0x0D
+// carry no suffix (type from DEFINT/DEFSTR/DEFREAL)
+const SUFFIX = { 0x02: '%', 0x03: '$', 0x04: '!' };
+
+// 5-byte float: 32-bit mantissa (LSB first, sign in bit 7 of the top byte,
+// implied leading 1) and an exponent biased by 128
+function readFloat(data, p) {
+  const exp = data[p + 4];
+  if (exp === 0) return 0;
+  const mant = ((data[p + 3] | 0x80) * 0x1000000) + (data[p + 2] << 16) + (data[p + 1] << 8) + data[p];
+  const value = mant / 0x100000000 * Math.pow(2, exp - 128);
+  return data[p + 3] & 0x80 ? -value : value;
+}
+
+function formatFloat(v) {
+  return String(Number(v.toPrecision(9))).replace('e', 'E');
+}
+
+// Name bytes up to and including the one with bit 7 set
+function readName(data, p, end) {
+  let name = '';
+  while (p < end) {
+    const c = data[p++];
+    name += String.fromCharCode(c & 0x7F);
+    if (c & 0x80) break;
+  }
+  return { name, next: p };
+}
+
+function detokenizeLine(data, start, end, lineAt) {
+  let out = '';
+  let p = start;
+  let mode = null; // 'string', 'data' or 'rest' (after REM or ')
+
+  while (p < end) {
+    const b = data[p];
+    if (b === 0x00) break;
+
+    // String literals, REM text and DATA items are stored untokenized; DATA
+    // runs to the next statement separator
+    if (mode === 'rest' || mode === 'string' || (mode === 'data' && b !== T_SEPARATOR)) {
+      out += String.fromCharCode(b);
+      if (mode === 'string' && b === 0x22) mode = null;
+      p++;
+      continue;
+    }
+
+    if (b === T_SEPARATOR) {
+      // ELSE and ' are stored after a hidden separator
+      if (data[p + 1] !== T_ELSE && data[p + 1] !== T_COMMENT) out += ':';
+      mode = null;
+      p++;
+    } else if (b >= 0x02 && b <= 0x0D) {
+      const { name, next } = readName(data, p + 3, end);
+      out += name + (SUFFIX[b] || '');
+      p = next;
+    } else if (b >= 0x0E && b <= 0x17) {
+      out += String(b - 0x0E);
+      p++;
+    } else if (b === 0x19) {
+      out += String(data[p + 1]);
+      p += 2;
+    } else if (b === 0x1A || b === 0x1E) {
+      out += String(data.readUInt16LE(p + 1));
+      p += 3;
+    } else if (b === 0x1B) {
+      out += '&X' + data.readUInt16LE(p + 1).toString(2);
+      p += 3;
+    } else if (b === 0x1C) {
+      out += '&' + data.readUInt16LE(p + 1).toString(16).toUpperCase();
+      p += 3;
+    } else if (b === 0x1D) {
+      // Line reference already resolved to a memory address by a run
+      const addr = data.readUInt16LE(p + 1);
+      const line = lineAt(addr - PROGRAM_BASE) ?? lineAt(addr + 1 - PROGRAM_BASE);
+      out += line != null ? String(line) : '&' + addr.toString(16).toUpperCase();
+      p += 3;
+    } else if (b === 0x1F) {
+      out += formatFloat(readFloat(data, p + 1));
+      p += 6;
+    } else if (b === 0x22) {
+      out += '"';
+      mode = 'string';
+      p++;
+    } else if (b === 0x7C) {
+      // |RSX: offset byte, then the name
+      const { name, next } = readName(data, p + 2, end);
+      out += '|' + name;
+      p = next;
+    } else if (b === 0xFF) {
+      const fn = FUNCTIONS[data[p + 1]];
+      out += fn || `<FF ${data[p + 1]?.toString(16)}>`;
+      p += 2;
+    } else if (b >= 0x80) {
+      out += KEYWORDS[b - 0x80] || `<${b.toString(16)}>`;
+      if (b === T_REM || b === T_COMMENT) mode = 'rest';
+      else if (b === T_DATA) mode = 'data';
+      p++;
+    } else {
+      out += String.fromCharCode(b);
+      p++;
+    }
+  }
+  return out;
+}
+
+// Tokenized program -> listing text, one line per program line
+function detokenize(data) {
+  const starts = new Map();
+  const lines = [];
+  for (let off = 0; off + 4 <= data.length;) {
+    const len = data.readUInt16LE(off);
+    if (len < 4) break;
+    starts.set(off, data.readUInt16LE(off + 2));
+    lines.push({ off, end: Math.min(off + len, data.length), number: data.readUInt16LE(off + 2) });
+    off += len;
+  }
+  const lineAt = (off) => starts.get(off);
+  return lines.map(l => `${l.number} ${detokenizeLine(data, l.off + 4, l.end, lineAt)}`).join('\n');
+}
+
+module.exports = {
+  detokenize,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+// LZHUF decompression (Okumura/Yoshizaki) as used by Teledisk "advanced"
+// compression: LZSS with a 4K window and adaptive Huffman coding of
+// literals/match lengths, plus a static code for the upper position bits.
+
+const N = 4096; // ring buffer size
+const F = 60; // longest match
+const THRESHOLD = 2;
+const N_CHAR = 256 - THRESHOLD + F; // literals 0..255, lengths 256..313
+const T = N_CHAR * 2 - 1; // tree size
+const R = T - 1; // root
+const MAX_FREQ = 0x8000;
+
+// Upper 6 position bits: code and its total bit length, by leading byte
+const D_CODE = new Uint8Array(256);
+const D_LEN = new Uint8Array(256);
+(() => {
+  // [number of codes, bytes per code, bit length]
+  const groups = [[1, 32, 3], [3, 16, 4], [8, 8, 5], [12, 4, 6], [24, 2, 7], [16, 1, 8]];
+  let i = 0;
+  let code = 0;
+  for (const [codes, run, len] of groups) {
+    for (let c = 0; c < codes; c++, code++) {
+      for (let k = 0; k < run; k++, i++) {
+        D_CODE[i] = code;
+        D_LEN[i] = len;
+      }
+    }
+  }
+})();
+
+function decompress(input) {
+  const freq = new Uint32Array(T + 1);
+  const prnt = new Int32Array(T + N_CHAR);
+  const son = new Int32Array(T);
+
+  for (let i = 0; i < N_CHAR; i++) {
+    freq[i] = 1;
+    son[i] = i + T;
+    prnt[i + T] = i;
+  }
+  for (let i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+    freq[j] = freq[i] + freq[i + 1];
+    son[j] = i;
+    prnt[i] = prnt[i + 1] = j;
+  }
+  freq[T] = 0xFFFF;
+  prnt[R] = 0;
+
+  // Halve the frequencies and rebuild the tree
+  function reconst() {
+    let j = 0;
+    for (let i = 0; i < T; i++) {
+      if (son[i] >= T) {
+        freq[j] = (freq[i] + 1) >> 1;
+        son[j] = son[i];
+        j++;
+      }
+    }
+    for (let i = 0, j = N_CHAR; j < T; i += 2, j++) {
+      const f = freq[j] = freq[i] + freq[i + 1];
+      let k = j - 1;
+      while (f < freq[k]) k--;
+      k++;
+      freq.copyWithin(k + 1, k, j);
+      freq[k] = f;
+      son.copyWithin(k + 1, k, j);
+      son[k] = i;
+    }
+    for (let i = 0; i < T; i++) {
+      const k = son[i];
+      if (k >= T) prnt[k] = i;
+      else prnt[k] = prnt[k + 1] = i;
+    }
+  }
+
+  function update(c) {
+    if (freq[R] === MAX_FREQ) reconst();
+    c = prnt[c + T];
+    do {
+      const k = ++freq[c];
+      let l = c + 1;
+      if (k > freq[l]) {
+        while (k > freq[++l]);
+        l--;
+        freq[c] = freq[l];
+        freq[l] = k;
+
+        const i = son[c];
+        prnt[i] = l;
+        if (i < T) prnt[i + 1] = l;
+
+        const j = son[l];
+        son[l] = i;
+        prnt[j] = c;
+        if (j < T) prnt[j + 1] = c;
+        son[c] = j;
+
+        c = l;
+      }
+    } while ((c = prnt[c]) !== 0);
+  }
+
+  // MSB-first bit reader; reads past the end return zeros
+  let inPos = 0;
+  let bitBuf = 0;
+  let bitLen = 0;
+  let bitsUsed = 0;
+  const totalBits = input.length * 8;
+
+  function fill() {
+    while (bitLen <= 8) {
+      const b = inPos < input.length ? input[inPos] : 0;
+      inPos++;
+      bitBuf |= b << (8 - bitLen);
+      bitLen += 8;
+    }
+  }
+  function getBit() {
+    fill();
+    const bit = (bitBuf >> 15) & 1;
+    bitBuf = (bitBuf << 1) & 0xFFFF;
+    bitLen--;
+    bitsUsed++;
+    return bit;
+  }
+  function getByte() {
+    fill();
+    const b = bitBuf >> 8;
+    bitBuf = (bitBuf << 8) & 0xFFFF;
+    bitLen -= 8;
+    bitsUsed += 8;
+    return b;
+  }
+
+  function decodeChar() {
+    let c = son[R];
+    while (c < T) c = son[c + getBit()];
+    c -= T;
+    update(c);
+    return c;
+  }
+
+  function decodePosition() {
+    let i = getByte();
+    const c = D_CODE[i] << 6;
+    let j = D_LEN[i] - 2;
+    while (j--) i = (i << 1) + getBit();
+    return c | (i & 0x3F);
+  }
+
+  const text = Buffer.alloc(N, 0x20);
+  let r = N - F;
+  const chunks = [];
+  let out = Buffer.alloc(Math.max(1024, input.length * 4));
+  let outLen = 0;
+  const put = (b) => {
+    if (outLen === out.length) {
+      chunks.push(out);
+      out = Buffer.alloc(out.length);
+      outLen = 0;
+    }
+    out[outLen++] = b;
+    text[r] = b;
+    r = (r + 1) & (N - 1);
+  };
+
+  while (bitsUsed < totalBits) {
+    const c = decodeChar();
+    if (c < 256) {
+      put(c);
+    } else {
+      const pos = (r - decodePosition() - 1) & (N - 1);
+      const len = c - 255 + THRESHOLD;
+      for (let k = 0; k < len; k++) put(text[(pos + k) & (N - 1)]);
+    }
+  }
+
+  chunks.push(out.slice(0, outLen));
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  decompress,
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+const crypto = require('crypto');
+const { writeDisk } = require('./edsk-writer');
+const { hasCRCError, keyedSectors } = require('./sector-map');
+
+// Best-of merge of several reads of the same disk into one EDSK. Each
+// sector is taken from a read where it came back clean (no CRC error or
+// missing data, full length); when the clean reads disagree the largest group of
+// identical copies wins. A weak sector (several stored copies, as copy
+// protection uses them) that every read returned weak keeps the copies of
+// the read that stored the most. Any other sector no read got cleanly is
+// rebuilt by voting on every byte across all the copies that have data, and
+// keeps its error flags. The
+// provenance report records for every sector where its data came from and
+// how many copies agree with it.
+
+// ST1 no-data / missing address mark, ST2 missing data address mark. Other
+// status bits (the deleted-data mark above all) describe the sector, not a
+// failed read.
+const MISSING_ST1 = 0x04 | 0x01;
+const MISSING_ST2 = 0x01;
+
+function isClean(sec) {
+  return !hasCRCError(sec) && !(sec.ST1 & MISSING_ST1) && !(sec.ST2 & MISSING_ST2) && !sec.truncated && sec.dataOffset != null && (sec.copies || 1) === 1 &&
+    sec.size >= (sec.expectedSize || sec.size);
+}
+
+// Every stored copy of a sector's data
+function dataCopies(buf, sec) {
+  if (sec.dataOffset == null) return [];
+  const copies = [];
+  for (let c = 0; c < (sec.copies || 1); c++) {
+    const start = sec.dataOffset + c * sec.size;
+    const data = buf.slice(start, Math.min(start + sec.size, buf.length));
+    if (data.length) copies.push(data);
+  }
+  return copies;
+}
+
+const digest = (data) => crypto.createHash('sha1').update(data).digest('hex');
+
+// Most common value of every byte; ties go to the earliest copy
+function voteBytes(copies) {
+  const length = Math.max(...copies.map(c => c.length));
+  const out = Buffer.alloc(length);
+  let disputed = 0;
+  let weakest = copies.length;
+  for (let i = 0; i < length; i++) {
+    const counts = new Map();
+    let best = null;
+    let bestCount = 0;
+    let voters = 0;
+    for (const c of copies) {
+      if (i >= c.length) continue;
+      voters++;
+      const n = (counts.get(c[i]) || 0) + 1;
+      counts.set(c[i], n);
+      if (n > bestCount) { best = c[i]; bestCount = n; }
+    }
+    out[i] = best;
+    if (bestCount < voters) disputed++;
+    weakest = Math.min(weakest, bestCount);
+  }
+  return { data: out, disputed, weakest };
+}
+
+// Merge the reads of one sector: candidates are [{ source, sec, buf }]
+function mergeSector(candidates) {
+  const clean = candidates.filter(c => isClean(c.sec));
+  if (clean.length) {
+    // Group the clean reads by content; the biggest group wins
+    const groups = new Map();
+    for (const c of clean) {
+      const data = dataCopies(c.buf, c.sec)[0];
+      const key = digest(data);
+      if (!groups.has(key)) groups.set(key, { data, members: [] });
+      groups.get(key).members.push(c);
+    }
+    const best = [...groups.values()].reduce((a, b) => (b.members.length > a.members.length ? b : a));
+    const first = best.members[0];
+    return {
+      // The chosen copy has no read error; its other flags stay as read
+      sector: { ...first.sec, data: best.data },
+      provenance: {
+        method: 'clean',
+        source: first.source,
+        sources: best.members.map(c => c.source),
+        agreeing: best.members.length,
+        reads: candidates.length,
+        ...(groups.size > 1 && { conflicting: clean.length - best.members.length }),
+      },
+    };
+  }
+
+  const withData = candidates.filter(c => c.sec.dataOffset != null);
+  if (!withData.length) {
+    const first = candidates[0];
+    return {
+      sector: { ...first.sec, dataOffset: null, storedSize: 0, data: null },
+      provenance: { method: 'missing', source: null, sources: [], agreeing: 0, reads: candidates.length },
+    };
+  }
+
+  // Weak in every read: the differing copies are the data, don't vote them flat
+  if (withData.every(c => (c.sec.copies || 1) > 1)) {
+    const best = withData.reduce((a, b) => (b.sec.copies > a.sec.copies ? b : a));
+    const { dataOffset, size, copies } = best.sec;
+    return {
+      sector: { ...best.sec, data: best.buf.slice(dataOffset, dataOffset + size * copies) },
+      provenance: {
+        method: 'weak',
+        source: best.source,
+        sources: withData.map(c => c.source),
+        // Reads that found the sector weak, and the copies kept
+        agreeing: withData.length,
+        storedCopies: copies,
+        reads: candidates.length,
+      },
+    };
+  }
+
+  const copies = withData.flatMap(c => dataCopies(c.buf, c.sec).map(data => ({ source: c.source, data })));
+  const { data, disputed, weakest } = voteBytes(copies.map(c => c.data));
+  const agreeing = copies.filter(c => c.data.equals(data)).length;
+  // The source is the copy closest to the voted data
+  const distance = (c) => data.reduce((n, b, i) => n + (c.data[i] !== b), 0);
+  const closest = copies.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+  const first = withData.find(c => c.source === closest.source);
+  // Keep the error flags: the data was never read cleanly
+  return {
+    sector: { ...first.sec, copies: 1, data },
+    provenance: {
+      method: copies.length > 1 ? 'vote' : 'single',
+      source: closest.source,
+      sources: [...new Set(copies.map(c => c.source))],
+      agreeing,
+      copies: copies.length,
+      disputed,
+      weakest,
+      reads: candidates.length,
+    },
+  };
+}
+
+// Sectors of one track across the reads, in the order of the read with the
+// most clean sectors
+function mergeTrack(reads) {
+  const present = reads.filter(r => r.trk && !r.trk.missing);
+  if (!present.length) return null;
+  const base = present.reduce((a, b) =>
+    (b.trk.sectors.filter(isClean).length > a.trk.sectors.filter(isClean).length ? b : a));
+
+  const keys = [];
+  const byKey = new Map();
+  for (const r of [base, ...present.filter(p => p !== base)]) {
+    for (const { key, sec } of keyedSectors(r.trk)) {
+      if (!byKey.has(key)) { byKey.set(key, []); keys.push(key); }
+      byKey.get(key).push({ source: r.source, sec, buf: r.buf });
+    }
+  }
+  const sectors = [];
+  const provenance = [];
+  for (const key of keys) {
+    // Candidates in source order, whichever read set the track order
+    const candidates = byKey.get(key).sort((a, b) =>
+      present.findIndex(p => p.source === a.source) - present.findIndex(p => p.source === b.source));
+    const merged = mergeSector(candidates);
+    sectors.push(merged.sector);
+    provenance.push({ R: merged.sector.R, ...merged.provenance });
+  }
+
+  const { track, side, gap3, filler, dataRate, recMode, sectorSizeCode } = base.trk;
+  return {
+    trk: { track, side, gap3, filler, dataRate, recMode, sectorSizeCode, sectors },
+    provenance,
+  };
+}
+
+// Merge reads [{ name, buf, disk }] into one EDSK:
+// { data, disk, report } with report = { sources, summary, tracks }.
+// onProgress(done, total) is called after each track; the merge yields to
+// the event loop between tracks.
+async function mergeReads(reads, { onProgress } = {}) {
+  if (reads.length < 2) throw new Error('Merging needs at least two reads');
+  const tracks = Math.max(...reads.map(r => r.disk.tracks));
+  const sides = Math.max(...reads.map(r => r.disk.sides));
+
+  const trackIndex = [];
+  const reportTracks = [];
+  const summary = { sectors: 0, clean: 0, weak: 0, vote: 0, single: 0, missing: 0, conflicts: 0, fromSource: {} };
+  for (const r of reads) summary.fromSource[r.name] = 0;
+
+  for (let t = 0; t < tracks; t++) {
+    for (let s = 0; s < sides; s++) {
+      const merged = mergeTrack(reads.map(r => ({
+        source: r.name,
+        buf: r.buf,
+        trk: r.disk.trackIndex.find(x => x.track === t && x.side === s),
+      })));
+      if (!merged) {
+        trackIndex.push({ track: t, side: s, missing: true, sectors: [] });
+        reportTracks.push({ track: t, side: s, missing: true, sectors: [] });
+      } else {
+        trackIndex.push(merged.trk);
+        reportTracks.push({ track: t, side: s, sectors: merged.provenance });
+        for (const p of merged.provenance) {
+          summary.sectors++;
+          summary[p.method]++;
+          if (p.conflicting) summary.conflicts++;
+          if (p.source) summary.fromSource[p.source]++;
+        }
+      }
+      if (onProgress) onProgress(t * sides + s + 1, tracks * sides);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const disk = { format: 'EDSK', tracks, sides, trackIndex };
+  return {
+    data: writeDisk(null, disk, { format: 'EDSK' }),
+    disk,
+    report: { sources: reads.map(r => r.name), summary, tracks: reportTracks },
+  };
+}
+
+module.exports = {
+  mergeReads,
+};
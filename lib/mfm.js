@@ -0,0 +1,244 @@
+'use strict';
+
+// MFM / FM decoding shared by the flux (SCP) and bitstream (HFE) readers.
+// A track is handled as an array of bitcells (one 0/1 per cell); address
+// marks are found by their missing-clock sync patterns and bytes are read
+// from the data cells that follow.
+
+const MARK_IDAM = 0xFE;
+const MARK_DDAM = 0xF8; // deleted data
+const DATA_MARKS = [0xFB, 0xFA, 0xF9, 0xF8];
+
+const MFM_SYNC = 0x4489; // A1 with missing clock
+const CRC_AFTER_A1S = 0xCDB4; // CRC-CCITT state after A1 A1 A1
+
+// Max cells between the end of an ID field and its data mark
+const DATA_MARK_WINDOW = 60 * 16;
+
+// CRC-16-CCITT as used by the uPD765 / WD177x
+function crc16(bytes, crc = 0xFFFF) {
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+// FM address marks: clock 0xC7 interleaved with the mark byte
+function fmPattern(data, clock = 0xC7) {
+  let raw = 0;
+  for (let i = 7; i >= 0; i--) raw = (raw << 2) | (((clock >> i) & 1) << 1) | ((data >> i) & 1);
+  return raw;
+}
+const FM_MARKS = new Map([MARK_IDAM, ...DATA_MARKS].map(m => [fmPattern(m), m]));
+
+// Read n bytes from the data cells starting at cell p (clock cell first)
+function readBytes(bits, p, n) {
+  if (p + n * 16 > bits.length) return null;
+  const out = Buffer.alloc(n);
+  for (let k = 0; k < n; k++) {
+    let v = 0;
+    for (let b = 0; b < 8; b++) v = (v << 1) | bits[p + k * 16 + b * 2 + 1];
+    out[k] = v;
+  }
+  return out;
+}
+
+// Find address marks in a bitcell stream: [{ mark, pos }] where pos is the
+// first cell after the mark byte
+function findMarks(bits, encoding) {
+  const marks = [];
+  let reg = 0;
+  for (let i = 0; i < bits.length; i++) {
+    reg = ((reg << 1) | bits[i]) & 0xFFFF;
+    if (encoding === 'MFM') {
+      if (reg !== MFM_SYNC) continue;
+      const next = readBytes(bits, i + 1, 1);
+      if (!next) break;
+      if (next[0] === 0xA1) continue; // another sync follows
+      if (next[0] === MARK_IDAM || DATA_MARKS.includes(next[0])) {
+        marks.push({ mark: next[0], pos: i + 17 });
+        i += 16;
+        reg = 0;
+      }
+    } else if (FM_MARKS.has(reg)) {
+      marks.push({ mark: FM_MARKS.get(reg), pos: i + 1 });
+      reg = 0;
+    }
+  }
+  return marks;
+}
+
+// Decode one revolution: pairs each ID field with the data field that follows
+function decodeBits(bits, encoding) {
+  const marks = findMarks(bits, encoding);
+  const crcStart = encoding === 'MFM' ? CRC_AFTER_A1S : 0xFFFF;
+  const sectors = [];
+
+  for (let m = 0; m < marks.length; m++) {
+    const { mark, pos } = marks[m];
+    if (mark !== MARK_IDAM) continue;
+
+    const id = readBytes(bits, pos, 6);
+    if (!id) break;
+    const [C, H, R, N] = id;
+    const idOk = crc16([MARK_IDAM, C, H, R, N], crcStart) === id.readUInt16BE(4);
+    if (!idOk) continue;
+
+    const sec = { C, H, R, N, pos, data: null, dataOk: false, deleted: false };
+    const next = marks[m + 1];
+    const idEnd = pos + 6 * 16;
+    if (next && next.mark !== MARK_IDAM && next.pos - idEnd <= DATA_MARK_WINDOW) {
+      const len = 128 << Math.min(N, 7);
+      const raw = readBytes(bits, next.pos, len + 2);
+      if (raw) {
+        sec.data = raw.slice(0, len);
+        sec.dataOk = crc16(sec.data, crc16([next.mark], crcStart)) === raw.readUInt16BE(len);
+        sec.deleted = next.mark === MARK_DDAM;
+      }
+    }
+    sectors.push(sec);
+  }
+  return sectors;
+}
+
+// Merge the sectors seen in each revolution into one list in physical order.
+// Good data from any revolution wins; otherwise the first bad copy is kept.
+function mergeRevolutions(revs) {
+  const merged = new Map();
+  revs.forEach((sectors, rev) => {
+    const seen = new Map();
+    for (const s of sectors) {
+      const id = `${s.C}/${s.H}/${s.R}/${s.N}`;
+      const n = seen.get(id) || 0;
+      seen.set(id, n + 1);
+      const key = `${id}#${n}`;
+      let m = merged.get(key);
+      if (!m) {
+        m = { C: s.C, H: s.H, R: s.R, N: s.N, pos: s.pos, firstRev: rev, good: null, bad: null, deleted: false, revs: [] };
+        merged.set(key, m);
+      }
+      const status = !s.data ? 'missing' : s.dataOk ? 'ok' : 'crc-error';
+      m.revs[rev] = { rev, data: status };
+      if (s.dataOk && !m.good) { m.good = s.data; m.deleted = s.deleted; }
+      if (s.data && !s.dataOk && !m.bad) { m.bad = s.data; if (!m.good) m.deleted = s.deleted; }
+    }
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => a.firstRev - b.firstRev || a.pos - b.pos)
+    .map(m => {
+      const revStatus = [];
+      for (let r = 0; r < revs.length; r++) revStatus.push(m.revs[r] || { rev: r, data: 'not-found' });
+
+      let ST1 = 0;
+      let ST2 = 0;
+      if (!m.good && m.bad) { ST1 |= 0x20; ST2 |= 0x20; }
+      if (!m.good && !m.bad) { ST1 |= 0x01; ST2 |= 0x01; }
+      if (m.deleted) ST2 |= 0x40;
+
+      return {
+        C: m.C, H: m.H, R: m.R, N: m.N,
+        ST1, ST2,
+        data: m.good || m.bad,
+        revs: revStatus,
+      };
+    });
+}
+
+// Typical spacing of the shortest flux interval cluster (ns)
+function estimateShortInterval(flux) {
+  const BIN = 50;
+  const hist = new Map();
+  let peak = 0;
+  for (const t of flux) {
+    const b = Math.round(t / BIN);
+    const c = (hist.get(b) || 0) + 1;
+    hist.set(b, c);
+    if (c > peak) peak = c;
+  }
+  const bins = [...hist.keys()].sort((a, b) => a - b);
+  for (const b of bins) {
+    if (hist.get(b) < peak * 0.15) continue;
+    // Centre of mass of the cluster around this bin
+    let sum = 0;
+    let n = 0;
+    for (const t of flux) {
+      if (Math.abs(t - b * BIN) <= b * BIN * 0.2) { sum += t; n++; }
+    }
+    return n ? sum / n : b * BIN;
+  }
+  return 0;
+}
+
+// Turn flux intervals (ns) into bitcells with a simple PLL
+function fluxToBits(flux, cellNs) {
+  let total = 0;
+  for (const t of flux) total += t;
+  const min = cellNs * 0.9;
+  const max = cellNs * 1.1;
+  const bits = new Uint8Array(Math.ceil(total / min) + flux.length);
+  let len = 0;
+  let period = cellNs;
+  for (const t of flux) {
+    let n = Math.round(t / period);
+    if (n < 1) n = 1;
+    len += n; // cells are zero-filled, only the transition needs setting
+    bits[len - 1] = 1;
+    period += (t / n - period) * 0.05;
+    if (period < min) period = min;
+    if (period > max) period = max;
+  }
+  return bits.subarray(0, len);
+}
+
+// EDSK track header codes for an encoding / cell size
+function trackCodes(encoding, cellNs) {
+  const dataCellNs = encoding === 'FM' ? cellNs / 2 : cellNs;
+  return {
+    recMode: encoding === 'FM' ? 1 : 2,
+    dataRate: dataCellNs >= 1500 ? 1 : dataCellNs >= 750 ? 2 : 3,
+  };
+}
+
+// Decode a track given one flux interval list (ns) per revolution.
+// MFM is tried first; FM is used when no MFM ID fields turn up.
+function decodeFluxTrack(revFlux) {
+  const all = [].concat(...revFlux);
+  const short = estimateShortInterval(all);
+  if (!short) return { encoding: null, sectors: [] };
+
+  for (const encoding of ['MFM', 'FM']) {
+    // Shortest MFM interval is two cells, shortest FM interval is one
+    const cellNs = encoding === 'MFM' ? short / 2 : short;
+    const revs = revFlux.map(flux => decodeBits(fluxToBits(flux, cellNs), encoding));
+    if (revs.some(r => r.length > 0)) {
+      return { encoding, cellNs, ...trackCodes(encoding, cellNs), sectors: mergeRevolutions(revs) };
+    }
+  }
+  return { encoding: null, sectors: [] };
+}
+
+// Decode a track given as ready-made bitcells, one array per revolution
+function decodeBitTrack(revBits, encodingHint) {
+  const order = encodingHint === 'FM' ? ['FM', 'MFM'] : ['MFM', 'FM'];
+  for (const encoding of order) {
+    const revs = revBits.map(bits => decodeBits(bits, encoding));
+    if (revs.some(r => r.length > 0)) return { encoding, sectors: mergeRevolutions(revs) };
+  }
+  return { encoding: null, sectors: [] };
+}
+
+module.exports = {
+  crc16,
+  findMarks,
+  decodeBits,
+  mergeRevolutions,
+  fluxToBits,
+  estimateShortInterval,
+  decodeFluxTrack,
+  decodeBitTrack,
+  trackCodes,
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+const { buildDisk } = require('./disk-builder');
+
+// Atari ST Magic Shadow Archiver images (.msa)
+// - 10-byte big-endian header: 0x0E0F, sectors per track, sides - 1,
+//   first track, last track
+// - Per track and side: 16-bit data length, then either the raw track
+//   (length = sectors * 512) or RLE data where 0xE5, byte, 16-bit count
+//   stands for a run and any other byte is a literal
+
+const MSA_MAGIC = 0x0E0F;
+const SECTOR_SIZE = 512;
+const RLE_MARK = 0xE5;
+
+function isMSA(buf) {
+  if (buf.length < 10 || buf.readUInt16BE(0) !== MSA_MAGIC) return false;
+  const spt = buf.readUInt16BE(2);
+  const sides = buf.readUInt16BE(4);
+  const start = buf.readUInt16BE(6);
+  const end = buf.readUInt16BE(8);
+  return spt >= 1 && spt <= 63 && sides <= 1 && start <= end && end < 256;
+}
+
+// Expand one RLE track to `size` bytes; short tracks stay zero-padded
+function unpackTrack(data, size) {
+  const out = Buffer.alloc(size);
+  let n = 0;
+  let p = 0;
+  while (p < data.length && n < size) {
+    const b = data[p++];
+    if (b !== RLE_MARK) {
+      out[n++] = b;
+      continue;
+    }
+    if (p + 3 > data.length) break;
+    const value = data[p];
+    const count = data.readUInt16BE(p + 1);
+    p += 3;
+    const run = Math.min(count, size - n);
+    out.fill(value, n, n + run);
+    n += run;
+  }
+  return { data: out, length: n };
+}
+
+function parseMSA(buf) {
+  if (!isMSA(buf)) throw new Error('Not an MSA image');
+
+  const spt = buf.readUInt16BE(2);
+  const sides = buf.readUInt16BE(4) + 1;
+  const start = buf.readUInt16BE(6);
+  const end = buf.readUInt16BE(8);
+  const trackSize = spt * SECTOR_SIZE;
+
+  const decoded = [];
+  let off = 10;
+  let compressed = 0;
+
+  for (let t = start; t <= end; t++) {
+    for (let s = 0; s < sides; s++) {
+      if (off + 2 > buf.length) throw new Error(`MSA image truncated at track ${t} side ${s}`);
+      const len = buf.readUInt16BE(off);
+      const data = buf.slice(off + 2, off + 2 + len);
+      off += 2 + len;
+
+      let track;
+      let length;
+      if (len === trackSize) {
+        track = data;
+        length = data.length;
+      } else {
+        ({ data: track, length } = unpackTrack(data, trackSize));
+        compressed++;
+      }
+
+      const sectors = [];
+      for (let i = 0; i < spt; i++) {
+        const sec = { C: t, H: s, R: i + 1, N: 2, ST1: 0, ST2: 0, data: track.slice(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE) };
+        if (length < (i + 1) * SECTOR_SIZE) sec.truncated = true;
+        sectors.push(sec);
+      }
+      decoded.push({ track: t, side: s, encoding: 'MFM', recMode: 2, dataRate: 1, sectorSizeCode: 2, sectors });
+    }
+  }
+
+  return buildDisk('MSA', decoded, {
+    tracks: end + 1,
+    sides,
+    imageInfo: {
+      firstTrack: start,
+      lastTrack: end,
+      compressedTracks: `${compressed}/${decoded.length}`,
+    },
+  });
+}
+
+module.exports = {
+  isMSA,
+  parseMSA,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+// ZX Spectrum +3DOS. The directory and allocation blocks are plain CP/M 2.2
+// (read by cpm.js); the geometry comes from the disc specification in the
+// first 10 bytes of the boot sector (track 0, sector 1):
+//   0  format: 0 = +3, 3 = PCW double sided (1 and 2 are CPC formats)
+//   1  sides: bits 0-1 0 single, 1 alternate, 2 successive; bit 7 double track
+//   2  tracks per side      3  sectors per track    4  log2(sector size) - 7
+//   5  reserved tracks      6  log2(block size) - 7 7  directory blocks
+//   8  read/write gap       9  format gap
+// A boot sector still filled with E5 means the default +3 format.
+// Files saved by +3 BASIC start with a 128-byte header:
+//   00-07  "PLUS3DOS", 08 1A, 09 issue, 0A version
+//   0B-0E  file length including the header
+//   0F-16  BASIC header: type, data length, param 1, param 2
+//   7F     checksum: sum of bytes 00-7E mod 256
+
+const HEADER_SIZE = 128;
+const SIGNATURE = 'PLUS3DOS';
+
+const DEFAULT_SPEC = Buffer.from([0x00, 0x00, 0x28, 0x09, 0x02, 0x01, 0x03, 0x02, 0x2A, 0x52]);
+
+const TYPES = ['Program', 'Number array', 'Character array', 'Code'];
+
+// Disc specification -> CP/M volume parameters, or null if the bytes don't
+// describe a usable +3DOS layout
+function specInfo(spec) {
+  const [format, sidedness, tracks, spt, psh, reserved, bsh, dirBlocks] = spec;
+  const sides = sidedness & 0x03;
+  if (format !== 0 && format !== 3) return null;
+  if (sides > 2 || tracks < 1 || tracks > 86 || spt < 1 || spt > 18) return null;
+  if (psh > 3 || bsh < 2 || bsh > 7 || dirBlocks < 1 || dirBlocks > 16) return null;
+
+  const heads = sides === 0 ? 1 : 2;
+  const bytesPerSector = 128 << psh;
+  const blockSize = 128 << bsh;
+  const totalBlocks = Math.floor((tracks * heads - reserved) * spt * bytesPerSector / blockSize);
+  if (totalBlocks <= dirBlocks) return null;
+
+  return {
+    type: '+3DOS',
+    platform: format === 3 ? 'Amstrad PCW' : 'ZX Spectrum +3',
+    tracksPerSide: tracks,
+    heads,
+    sideOrder: sides === 2 ? 'sequential' : 'alternate',
+    sectorsPerTrack: spt,
+    bytesPerSector,
+    firstSector: 1,
+    reservedTracks: reserved,
+    blockSize,
+    dirEntries: dirBlocks * blockSize / 32,
+    totalBlocks,
+  };
+}
+
+// Recognise a +3DOS disk from its boot sector
+function detectPlus3DOS(buf, disk) {
+  const trk0 = disk.trackIndex.find(t => t.track === 0 && t.side === 0 && !t.missing);
+  const sec = trk0 && trk0.sectors.find(s => s.R === 1 && s.dataOffset != null);
+  if (!sec || sec.size < 16) return null;
+
+  const boot = buf.slice(sec.dataOffset, sec.dataOffset + sec.size);
+  const blank = boot.slice(0, 16).every(b => b === 0xE5);
+  const info = specInfo(blank ? DEFAULT_SPEC : boot.slice(0, 10));
+  if (!info) return null;
+
+  // The spec has to agree with the track it was read from
+  if (trk0.sectors.length !== info.sectorsPerTrack || sec.size !== info.bytesPerSector) return null;
+
+  let sum = 0;
+  for (let i = 0; i < info.bytesPerSector; i++) sum += boot[i];
+  info.bootable = !blank && (sum & 0xFF) === 3;
+  return info;
+}
+
+// Decode a +3DOS file header, or null if the file has none
+function parsePlus3Header(data) {
+  if (!data || data.length < HEADER_SIZE || data.slice(0, 8).toString('latin1') !== SIGNATURE) return null;
+
+  let sum = 0;
+  for (let i = 0; i < 127; i++) sum += data[i];
+  const type = data[15];
+  const param1 = data.readUInt16LE(18);
+  const param2 = data.readUInt16LE(20);
+
+  const header = {
+    type: TYPES[type] || `type ${type}`,
+    issue: data[9],
+    version: data[10],
+    fileLength: data.readUInt32LE(11),
+    length: data.readUInt16LE(16),
+    checksum: data[127],
+    checksumOk: (sum & 0xFF) === data[127],
+    // The file length counts the header; CP/M rounds files up to 128 bytes
+    lengthOk: data.readUInt32LE(11) <= data.length && data.length - data.readUInt32LE(11) < 128,
+  };
+  if (type === 0) {
+    header.autostart = param1 < 32768 ? param1 : null;
+    header.programLength = param2;
+  } else if (type === 3) {
+    header.loadAddress = param1;
+  } else if (type === 1 || type === 2) {
+    header.variable = String.fromCharCode((data[19] & 0x1F) + 0x60) + (type === 2 ? '$' : '');
+  }
+  return header;
+}
+
+// File contents after the header, cut to the length the header gives. A
+// header with a bad checksum is only stripped when its file length agrees
+// with the file size; otherwise the data is left as it is.
+function stripPlus3Header(data) {
+  const header = parsePlus3Header(data);
+  if (!header || !(header.checksumOk || header.lengthOk)) return data;
+  return data.slice(HEADER_SIZE, HEADER_SIZE + header.length);
+}
+
+module.exports = {
+  detectPlus3DOS,
+  parsePlus3Header,
+  stripPlus3Header,
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const { parseBPB } = require('./bpb');
+
+// Raw sector images (.img / .ima / .st): no container, just sectors laid out
+// cylinder by cylinder, head by head, R=1..n. Geometry has to be inferred.
+
+// Well-known PC and Atari ST floppy sizes -> [cylinders, heads, sectors per track]
+const KNOWN_SIZES = {
+  163840: [40, 1, 8],    // 160K SS/DD
+  184320: [40, 1, 9],    // 180K SS/DD
+  327680: [40, 2, 8],    // 320K DS/DD
+  368640: [40, 2, 9],    // 360K DS/DD
+  737280: [80, 2, 9],    // 720K DS/DD
+  409600: [80, 1, 10],   // 400K ST SS/DD, 10 sectors
+  819200: [80, 2, 10],   // 800K DS/DD
+  839680: [82, 2, 10],   // 820K ST, 82 tracks
+  1228800: [80, 2, 15],  // 1.2M DS/HD
+  1474560: [80, 2, 18],  // 1.44M DS/HD
+  1720320: [80, 2, 21],  // 1.68M DMF
+  2949120: [80, 2, 36],  // 2.88M DS/ED
+};
+
+// Read geometry from a FAT BPB at the start of the image, or null if there
+// is no plausible BPB
+function bpbGeometry(buf) {
+  if (buf.length < 512) return null;
+  const bpb = parseBPB(buf.slice(0, 512));
+  if (!bpb) return null;
+  const { bytesPerSector, sectorsPerTrack, heads, totalSectors } = bpb;
+  return { bytesPerSector, sectorsPerTrack, heads, totalSectors };
+}
+
+// Work out cylinders/heads/sectors for a raw image
+function inferGeometry(buf) {
+  const bpb = bpbGeometry(buf);
+
+  // BPB that describes exactly this image wins
+  if (bpb && bpb.totalSectors * bpb.bytesPerSector === buf.length) {
+    const cylinders = Math.ceil(bpb.totalSectors / (bpb.sectorsPerTrack * bpb.heads));
+    return { cylinders, heads: bpb.heads, sectorsPerTrack: bpb.sectorsPerTrack, bytesPerSector: bpb.bytesPerSector, source: 'bpb' };
+  }
+
+  const known = KNOWN_SIZES[buf.length];
+  if (known) {
+    const [cylinders, heads, sectorsPerTrack] = known;
+    return { cylinders, heads, sectorsPerTrack, bytesPerSector: 512, source: 'size' };
+  }
+
+  // BPB that disagrees with the file length (truncated or padded dump)
+  if (bpb) {
+    const sectors = Math.max(bpb.totalSectors, Math.ceil(buf.length / bpb.bytesPerSector));
+    const cylinders = Math.ceil(sectors / (bpb.sectorsPerTrack * bpb.heads));
+    return { cylinders, heads: bpb.heads, sectorsPerTrack: bpb.sectorsPerTrack, bytesPerSector: bpb.bytesPerSector, source: 'bpb' };
+  }
+
+  return null;
+}
+
+// Parse a raw sector image into the same trackIndex model as parseDisk.
+// Sector dataOffset values point straight into buf. Other sector-image
+// formats pass their own format name, geometry and first sector id.
+function parseRawImage(buf, opts = {}) {
+  const geo = opts.geometry || inferGeometry(buf);
+  if (!geo) throw new Error(`Unrecognised raw image size: ${buf.length} bytes`);
+
+  const { cylinders, heads, sectorsPerTrack, bytesPerSector } = geo;
+  const N = Math.log2(bytesPerSector / 128);
+  const trackBytes = sectorsPerTrack * bytesPerSector;
+  const firstSector = opts.firstSector ?? 1;
+
+  const disk = {
+    format: opts.format || 'IMG',
+    creator: '',
+    tracks: cylinders,
+    sides: heads,
+    geometry: geo,
+    trackIndex: [],
+  };
+
+  for (let t = 0; t < cylinders; t++) {
+    for (let s = 0; s < heads; s++) {
+      const off = (t * heads + s) * trackBytes;
+      if (off >= buf.length) {
+        disk.trackIndex.push({ track: t, side: s, offset: null, size: 0, missing: true, sectors: [] });
+        continue;
+      }
+
+      const sectors = [];
+      for (let i = 0; i < sectorsPerTrack; i++) {
+        const dataOffset = off + i * bytesPerSector;
+        if (dataOffset >= buf.length) break;
+        const sec = {
+          index: i,
+          C: t, H: s, R: firstSector + i, N,
+          ST1: 0, ST2: 0,
+          size: bytesPerSector,
+          expectedSize: bytesPerSector,
+          hasError: false,
+          errorFlags: [],
+          dataOffset,
+        };
+        if (dataOffset + bytesPerSector > buf.length) sec.truncated = true;
+        sectors.push(sec);
+      }
+
+      disk.trackIndex.push({
+        track: t,
+        side: s,
+        offset: off,
+        size: Math.min(trackBytes, buf.length - off),
+        trackNo: t,
+        sideNo: s,
+        sectorSizeCode: N,
+        sectorCount: sectors.length,
+        sectors,
+      });
+    }
+  }
+
+  return disk;
+}
+
+module.exports = {
+  parseRawImage,
+  inferGeometry,
+  KNOWN_SIZES,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const { decodeFluxTrack } = require('./mfm');
+const { buildDisk } = require('./disk-builder');
+
+// SuperCard Pro flux images (.scp)
+// - 16-byte header: "SCP", version, disk type, revolutions, start/end track,
+//   flags, bitcell width, heads, resolution, checksum
+// - Track offset table (uint32 LE per track, 0 = not present)
+// - Track data header "TRK" + track number, then per revolution:
+//   index time, flux count, data offset (relative to the TDH)
+// - Flux data: uint16 BE tick counts, 0 = add 65536 to the next value
+
+const SCP_TICK_NS = 25;
+
+function isSCP(buf) {
+  return buf.length >= 16 && buf.slice(0, 3).toString('ascii') === 'SCP';
+}
+
+// Read one revolution's flux intervals in nanoseconds
+function readRevolution(buf, start, count, tickNs, wide) {
+  const flux = [];
+  let carry = 0;
+  const step = wide ? 2 : 1;
+  for (let i = 0; i < count; i++) {
+    const off = start + i * step;
+    if (off + step > buf.length) break;
+    const v = wide ? buf.readUInt16BE(off) : buf[off];
+    if (v === 0) { carry += wide ? 0x10000 : 0x100; continue; }
+    flux.push((carry + v) * tickNs);
+    carry = 0;
+  }
+  return flux;
+}
+
+function parseSCP(buf) {
+  if (!isSCP(buf)) throw new Error('Not an SCP image');
+
+  const version = buf[3];
+  const diskType = buf[4];
+  const revolutions = buf[5];
+  const startTrack = buf[6];
+  const endTrack = buf[7];
+  const flags = buf[8];
+  const bitcellWidth = buf[9] || 16;
+  const heads = buf[10];
+  const resolution = buf[11];
+  const tickNs = SCP_TICK_NS * (resolution + 1);
+  const wide = bitcellWidth !== 8;
+
+  if (revolutions === 0) throw new Error('SCP image has no revolutions');
+
+  const entries = [];
+  for (let n = startTrack; n <= endTrack; n++) {
+    const tableOff = 0x10 + n * 4;
+    if (tableOff + 4 > buf.length) break;
+    const tdh = buf.readUInt32LE(tableOff);
+    if (tdh === 0 || tdh + 4 > buf.length) continue;
+    if (buf.slice(tdh, tdh + 3).toString('ascii') !== 'TRK') continue;
+    entries.push({ n, tdh });
+  }
+
+  // Entries interleave cyl*2+head, single-sided images too (side 0 in the
+  // even slots, side 1 in the odd ones). Some tools number single-sided
+  // images by cylinder instead, which shows as entries in the other head's
+  // slots. A side 0 image becomes a one-sided disk; a side 1 image keeps its
+  // tracks on side 1 (matching the H in their sector IDs) with side 0 empty.
+  const otherHead = heads === 1 ? 1 : 0;
+  const byCylinder = heads !== 0 && entries.some(({ n }) => (n & 1) === otherHead);
+
+  const decoded = [];
+  for (const { n, tdh } of entries) {
+    const track = byCylinder ? n : n >> 1;
+    const side = heads === 0 ? n & 1 : heads - 1;
+
+    const revFlux = [];
+    for (let r = 0; r < revolutions; r++) {
+      const ent = tdh + 4 + r * 12;
+      if (ent + 12 > buf.length) break;
+      const count = buf.readUInt32LE(ent + 4);
+      const dataOff = buf.readUInt32LE(ent + 8);
+      revFlux.push(readRevolution(buf, tdh + dataOff, count, tickNs, wide));
+    }
+
+    const trk = decodeFluxTrack(revFlux);
+    decoded.push({
+      track,
+      side,
+      encoding: trk.encoding,
+      dataRate: trk.dataRate,
+      recMode: trk.recMode,
+      revolutions: revFlux.length,
+      sectors: trk.sectors,
+    });
+  }
+
+  return buildDisk('SCP', decoded, {
+    sides: heads === 1 ? 1 : 2,
+    imageInfo: {
+      version: `${version >> 4}.${version & 0x0F}`,
+      diskType: '0x' + diskType.toString(16).toUpperCase().padStart(2, '0'),
+      revolutions,
+      resolutionNs: tickNs,
+      heads: heads === 0 ? 'both' : `side ${heads - 1} only`,
+      indexed: !!(flags & 0x01),
+    },
+  });
+}
+
+module.exports = {
+  isSCP,
+  parseSCP,
+};
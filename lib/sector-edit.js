@@ -0,0 +1,54 @@
+'use strict';
+
+const { errorFlagsFor } = require('./disk-builder');
+
+// Sector write-back for the hex editor. The new bytes go into the image
+// buffer at the sector's data offset (one stored copy of a weak sector at a
+// time). New ST1/ST2 flags are set on a copy of the disk model, so the
+// parsed disk in the server cache stays as it was read.
+
+// Write the data of one sector; status: { st1, st2 } to replace the FDC
+// status flags as well. Returns { track, side, r, copy, bytesChanged, st1,
+// st2, model }, model being the disk model to serialize the image from.
+function writeSector(buf, disk, { track, side, r, copy = 0 }, data, status = null) {
+  const trk = disk.trackIndex.find(t => t.track === track && t.side === side && !t.missing);
+  const sec = trk?.sectors.find(s => s.R === r);
+  if (!sec) throw new Error(`Sector T${track} S${side} R=${r} not found`);
+  if (sec.dataOffset == null) throw new Error('Sector has no data to edit');
+  if (copy < 0 || copy >= (sec.copies || 1)) throw new Error(`Sector has no copy ${copy + 1}`);
+
+  const start = sec.dataOffset + copy * sec.size;
+  const current = buf.slice(start, start + sec.size);
+  if (data.length !== current.length) {
+    throw new Error(`Sector holds ${current.length} bytes, got ${data.length}`);
+  }
+  let bytesChanged = 0;
+  for (let i = 0; i < data.length; i++) if (data[i] !== current[i]) bytesChanged++;
+  data.copy(buf, start);
+
+  let model = disk;
+  if (status) {
+    if (disk.format === 'IMG' || disk.format === 'ADF') {
+      throw new Error('Raw sector images have no ST1/ST2 status flags');
+    }
+    const { st1, st2 } = status;
+    if (![st1, st2].every(v => Number.isInteger(v) && v >= 0 && v <= 0xFF)) {
+      throw new Error('ST1/ST2 must be byte values');
+    }
+    const updated = { ...sec, ST1: st1, ST2: st2, hasError: !!(st1 || st2), errorFlags: errorFlagsFor(st1, st2) };
+    model = {
+      ...disk,
+      trackIndex: disk.trackIndex.map(t => (t !== trk ? t : {
+        ...t,
+        sectors: t.sectors.map(s => (s === sec ? updated : s)),
+      })),
+    };
+  }
+
+  const flags = status ? { ST1: status.st1, ST2: status.st2 } : sec;
+  return { track, side, r, copy, bytesChanged, st1: flags.ST1 || 0, st2: flags.ST2 || 0, model };
+}
+
+module.exports = {
+  writeSector,
+};
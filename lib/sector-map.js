@@ -0,0 +1,213 @@
+'use strict';
+
+// Logical sector addressing. A sector map turns an LBA into the cylinder,
+// head and sector ID the filesystem expects, then looks that sector up on the
+// physical track by its ID field instead of by its position in the image.
+// Every mapped sector reports where its bytes came from:
+//   found        ID field matched, data read cleanly
+//   missing      no sector with that ID, or no data field (zero-filled)
+//   truncated    data field shorter than the sector (zero-padded)
+//   crc-error    ID or data CRC failed; the data is kept as read
+//   id-mismatch  right R on the right physical track, but the C/H in the ID
+//                field name another track
+
+// CRC failure in the ID field or in the data field
+function hasCRCError(sec) {
+  return !!((sec.ST1 & 0x20) || (sec.ST2 & 0x20));
+}
+
+// Sectors keyed by ID and occurrence: '5', '5#2' for a second R=5
+function keyedSectors(trk) {
+  const seen = new Map();
+  return (trk?.sectors || []).map(sec => {
+    const n = (seen.get(sec.R) || 0) + 1;
+    seen.set(sec.R, n);
+    return { key: n > 1 ? `${sec.R}#${n}` : String(sec.R), sec };
+  });
+}
+
+function range(first, count) {
+  const ids = [];
+  for (let i = 0; i < count; i++) ids.push(first + i);
+  return ids;
+}
+
+// Layout described by a FAT BPB: sectors numbered from 1, sides alternating
+function bpbGeometry(fs_info) {
+  const spt = fs_info.sectorsPerTrack;
+  const heads = fs_info.heads || 1;
+  return {
+    cylinders: Math.ceil(fs_info.totalSectors / (spt * heads)),
+    heads,
+    sectorsPerTrack: spt,
+    bytesPerSector: fs_info.bytesPerSector || 512,
+    sectorIds: range(1, spt),
+    totalSectors: fs_info.totalSectors,
+    source: 'bpb',
+  };
+}
+
+// Layout of the whole image: the BPB when there is one, otherwise the most
+// common sector ID pattern across tracks
+function diskGeometry(disk) {
+  const fs_info = disk.filesystem;
+  if (fs_info?.type === 'FAT' && fs_info.sectorsPerTrack > 0 && fs_info.bytesPerSector > 0) {
+    const { sectorsPerTrack, bytesPerSector, sectorIds } = bpbGeometry(fs_info);
+    return {
+      cylinders: disk.tracks,
+      heads: disk.sides,
+      sectorsPerTrack,
+      bytesPerSector,
+      sectorIds,
+      source: 'bpb',
+    };
+  }
+
+  const patterns = new Map();
+  for (const trk of disk.trackIndex) {
+    if (trk.missing || !trk.sectors.length) continue;
+    const ids = [...new Set(trk.sectors.map(s => s.R))].sort((a, b) => a - b);
+    const key = ids.join(',');
+    const p = patterns.get(key) || { ids, count: 0, sizes: new Map() };
+    p.count++;
+    for (const s of trk.sectors) p.sizes.set(s.expectedSize || s.size, (p.sizes.get(s.expectedSize || s.size) || 0) + 1);
+    patterns.set(key, p);
+  }
+  if (patterns.size === 0) return null;
+
+  const best = [...patterns.values()].sort((a, b) => b.count - a.count || b.ids.length - a.ids.length)[0];
+  const bytesPerSector = [...best.sizes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  return {
+    cylinders: disk.tracks,
+    heads: disk.sides,
+    sectorsPerTrack: best.ids.length,
+    bytesPerSector,
+    sectorIds: best.ids,
+    source: 'sector-ids',
+  };
+}
+
+// Status of one physical sector read for the expected cylinder/head
+function sectorStatus(sec, cylinder, head, bps) {
+  if (!sec || sec.dataOffset == null) return 'missing';
+  if (sec.C !== cylinder || sec.H !== head) return 'id-mismatch';
+  if (hasCRCError(sec)) return 'crc-error';
+  if (sec.truncated || sec.size < bps) return 'truncated';
+  return 'found';
+}
+
+const RANK = { found: 0, truncated: 1, 'crc-error': 2, 'id-mismatch': 3, missing: 4 };
+
+// geo: { cylinders, heads, sectorsPerTrack, bytesPerSector, sectorIds?,
+//        firstSector?, totalSectors?, sideOrder?, locate? }
+// sideOrder 'alternate' (default) reads both sides of a cylinder before
+// stepping; 'sequential' reads every cylinder of side 0, then side 1.
+// A filesystem with its own layout can pass locate(lba) -> {cylinder, head, R}.
+function createSectorMap(buf, disk, geo) {
+  const ids = geo.sectorIds || range(geo.firstSector ?? 1, geo.sectorsPerTrack);
+  const spt = ids.length;
+  const heads = geo.heads || 1;
+  const bps = geo.bytesPerSector;
+  const totalSectors = geo.totalSectors || geo.cylinders * heads * spt;
+
+  const tracks = new Map();
+  for (const trk of disk.trackIndex) {
+    if (!trk.missing) tracks.set(`${trk.track}:${trk.side}`, trk);
+  }
+
+  function locate(lba) {
+    if (geo.locate) return geo.locate(lba);
+    const t = Math.floor(lba / spt);
+    const R = ids[lba % spt];
+    if (geo.sideOrder === 'sequential') {
+      return { cylinder: t % geo.cylinders, head: Math.floor(t / geo.cylinders), R };
+    }
+    return { cylinder: Math.floor(t / heads), head: t % heads, R };
+  }
+
+  // Where an LBA lives and how good the read is. With duplicate IDs on a
+  // track the best read wins.
+  function sector(lba) {
+    const { cylinder, head, R } = locate(lba);
+    const trk = tracks.get(`${cylinder}:${head}`);
+    let best = null;
+    let status = 'missing';
+    for (const sec of trk ? trk.sectors : []) {
+      if (sec.R !== R) continue;
+      const s = sectorStatus(sec, cylinder, head, bps);
+      if (!best || RANK[s] < RANK[status]) {
+        best = sec;
+        status = s;
+      }
+    }
+    let bytes = 0;
+    if (status !== 'missing') {
+      // A truncated sector's data stops at the end of its track block
+      const end = best.truncated && trk.offset != null && trk.size ? trk.offset + trk.size : buf.length;
+      bytes = Math.max(0, Math.min(best.size, best.storedSize ?? best.size, bps, end - best.dataOffset));
+    }
+    return { lba, cylinder, head, R, status, bytes, source: status === 'missing' ? null : best };
+  }
+
+  // One sector's data, zero-padded to the logical sector size
+  function read(lba) {
+    const entry = sector(lba);
+    const data = Buffer.alloc(bps);
+    if (entry.bytes) buf.copy(data, 0, entry.source.dataOffset, entry.source.dataOffset + entry.bytes);
+    return { ...entry, data };
+  }
+
+  // `count` consecutive sectors as one buffer, plus each sector's provenance
+  function readSectors(lba, count) {
+    const data = Buffer.alloc(count * bps);
+    const sectors = [];
+    for (let i = 0; i < count; i++) {
+      const entry = sector(lba + i);
+      if (entry.bytes) buf.copy(data, i * bps, entry.source.dataOffset, entry.source.dataOffset + entry.bytes);
+      sectors.push(entry);
+    }
+    return { data, sectors };
+  }
+
+  // Byte range of the logical volume
+  function readBytes(offset, length) {
+    const first = Math.floor(offset / bps);
+    const last = Math.ceil((offset + length) / bps);
+    const { data } = readSectors(first, last - first);
+    return data.slice(offset - first * bps, offset - first * bps + length);
+  }
+
+  // Overwrite one sector in buf. Every stored copy of a weak sector gets the
+  // new data; a sector that isn't in the image can't be written.
+  function write(lba, data) {
+    const entry = sector(lba);
+    if (entry.status === 'missing') {
+      throw new Error(`Sector C${entry.cylinder} H${entry.head} R${entry.R} is missing from the image`);
+    }
+    const sec = entry.source;
+    for (let c = 0; c < (sec.copies || 1); c++) {
+      data.copy(buf, sec.dataOffset + c * sec.size, 0, entry.bytes);
+    }
+    return entry;
+  }
+
+  return {
+    geometry: { ...geo, sectorIds: ids, heads, totalSectors },
+    bytesPerSector: bps,
+    totalSectors,
+    locate,
+    sector,
+    read,
+    readSectors,
+    readBytes,
+    write,
+  };
+}
+
+module.exports = {
+  createSectorMap,
+  bpbGeometry,
+  diskGeometry,
+  hasCRCError,
+  keyedSectors,
+};
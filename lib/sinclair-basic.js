@@ -0,0 +1,93 @@
+'use strict';
+
+// Sinclair BASIC (ZX Spectrum 48K / 128K / +3) detokenizer. A program is a
+// list of lines: line number (2 bytes, big-endian), length of the rest
+// (2 bytes, little-endian), tokens, 0x0D. Numbers are stored as typed and
+// followed by 0x0E and a hidden 5-byte binary copy. Variables follow the
+// program; the +3DOS header says where they start.
+
+// Keywords 0xA3-0xFF (0xA3 SPECTRUM and 0xA4 PLAY are 128K additions)
+const KEYWORDS = [
+  'SPECTRUM', 'PLAY', 'RND', 'INKEY$', 'PI', 'FN', 'POINT', 'SCREEN$', 'ATTR',
+  'AT', 'TAB', 'VAL$', 'CODE', 'VAL', 'LEN', 'SIN', 'COS', 'TAN', 'ASN', 'ACS',
+  'ATN', 'LN', 'EXP', 'INT', 'SQR', 'SGN', 'ABS', 'PEEK', 'IN', 'USR', 'STR$',
+  'CHR$', 'NOT', 'BIN', 'OR', 'AND', '<=', '>=', '<>', 'LINE', 'THEN', 'TO',
+  'STEP', 'DEF FN', 'CAT', 'FORMAT', 'MOVE', 'ERASE', 'OPEN #', 'CLOSE #',
+  'MERGE', 'VERIFY', 'BEEP', 'CIRCLE', 'INK', 'PAPER', 'FLASH', 'BRIGHT',
+  'INVERSE', 'OVER', 'OUT', 'LPRINT', 'LLIST', 'STOP', 'READ', 'DATA',
+  'RESTORE', 'NEW', 'BORDER', 'CONTINUE', 'DIM', 'REM', 'FOR', 'GO TO',
+  'GO SUB', 'INPUT', 'LOAD', 'LIST', 'LET', 'PAUSE', 'NEXT', 'POKE', 'PRINT',
+  'PLOT', 'RUN', 'SAVE', 'RANDOMIZE', 'IF', 'CLS', 'DRAW', 'CLEAR', 'RETURN',
+  'COPY',
+];
+const FIRST_TOKEN = 0xA3;
+
+// Block graphics 0x80-0x8F as Unicode quadrants
+const BLOCKS = ' ▝▘▀▗▐▚▜▖▞▌▛▄▟▙█';
+
+// Spectrum character set differences from ASCII
+const CHARS = { 0x5E: '↑', 0x60: '£', 0x7F: '©' };
+
+const NUMBER_MARK = 0x0E;
+const LINE_END = 0x0D;
+
+function isLetter(c) {
+  return /[A-Za-z]/.test(c);
+}
+
+// Keywords are listed with a space before them (unless one is already there)
+// and a space after those that end in a letter, as the ROM does
+function appendKeyword(out, word) {
+  const lead = out.length > 0 && !out.endsWith(' ') && isLetter(word[0]) ? ' ' : '';
+  const trail = isLetter(word[word.length - 1]) ? ' ' : '';
+  return out + lead + word + trail;
+}
+
+function detokenizeLine(data, start, end) {
+  let out = '';
+  for (let p = start; p < end; p++) {
+    const b = data[p];
+    if (b === LINE_END) break;
+
+    if (b === NUMBER_MARK) {
+      p += 5; // hidden binary form of the number just listed
+    } else if (b >= 0x10 && b <= 0x15) {
+      p += 1; // INK/PAPER/FLASH/BRIGHT/INVERSE/OVER control + colour
+    } else if (b === 0x16 || b === 0x17) {
+      p += 2; // AT / TAB control + two parameters
+    } else if (b < 0x20) {
+      // other control codes don't list
+    } else if (b >= FIRST_TOKEN) {
+      out = appendKeyword(out, KEYWORDS[b - FIRST_TOKEN]);
+    } else if (b >= 0x90) {
+      out += `{${String.fromCharCode(0x41 + b - 0x90)}}`; // user-defined graphic
+    } else if (b >= 0x80) {
+      out += BLOCKS[b - 0x80];
+    } else {
+      // A space typed after a keyword is already covered by its trailing space
+      if (b === 0x20 && out.endsWith(' ')) continue;
+      out += CHARS[b] || String.fromCharCode(b);
+    }
+  }
+  return out.replace(/ +$/, '');
+}
+
+// Tokenized program -> listing text. programLength (from the +3DOS header)
+// stops the listing where the variables start.
+function detokenize(data, { programLength } = {}) {
+  const limit = programLength != null ? Math.min(programLength, data.length) : data.length;
+  const lines = [];
+  for (let off = 0; off + 4 <= limit;) {
+    const number = data.readUInt16BE(off);
+    const len = data.readUInt16LE(off + 2);
+    if (number > 9999 || len === 0) break;
+    const end = Math.min(off + 4 + len, limit);
+    lines.push(`${String(number).padStart(4)} ${detokenizeLine(data, off + 4, end)}`);
+    off = end;
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  detokenize,
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const { buildDisk } = require('./disk-builder');
+const { decompress } = require('./lzhuf');
+
+// Teledisk images (.td0)
+// - 12-byte header: "TD" (normal) or "td" (advanced compression), sequence,
+//   check signature, version, data rate, drive type, stepping (bit 7 = comment
+//   present), DOS allocation flag, sides (the track headers are used), CRC
+// - With "td" everything after the header is LZHUF compressed (v2.x)
+// - Optional comment block: CRC, length, timestamp, NUL-separated lines
+// - Tracks: sector count (0xFF ends the image), cylinder, head, CRC
+// - Sectors: C, H, R, N, flags, CRC, then a data block unless flags say there
+//   is none: length, encoding (0 raw, 1 repeated pattern, 2 RLE), payload
+
+const DATA_RATES = { 0: 250, 1: 300, 2: 500 };
+
+const DRIVE_TYPES = {
+  0: '5.25" 96 tpi',
+  1: '5.25" 360K',
+  2: '5.25" 1.2M',
+  3: '3.5" 720K',
+  4: '3.5" 1.44M',
+};
+
+// Sector flags
+const SF_DUPLICATE = 0x01;
+const SF_CRC_ERROR = 0x02;
+const SF_DELETED = 0x04;
+const SF_SKIPPED = 0x10; // not allocated by DOS, not read
+const SF_NO_DATA = 0x20; // ID field but no data field
+const SF_NO_ID = 0x40; // data field but no ID field
+
+// Teledisk CRC-16 (polynomial 0xA097, initial value 0)
+function tdCRC(bytes) {
+  let crc = 0;
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0xA097) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+function isTD0(buf) {
+  if (buf.length < 12) return false;
+  const sig = buf.slice(0, 2).toString('ascii');
+  if (sig !== 'TD' && sig !== 'td') return false;
+  return tdCRC(buf.slice(0, 10)) === buf.readUInt16LE(10);
+}
+
+// Expand a sector data block to `size` bytes
+function decodeSectorData(block, encoding, size) {
+  const out = Buffer.alloc(size);
+  let n = 0;
+
+  if (encoding === 0) {
+    block.copy(out, 0, 0, Math.min(block.length, size));
+    n = Math.min(block.length, size);
+  } else if (encoding === 1) {
+    // count (16-bit) repetitions of a 2-byte pattern
+    for (let p = 0; p + 4 <= block.length && n < size; p += 4) {
+      const count = block.readUInt16LE(p);
+      for (let k = 0; k < count && n < size; k++) {
+        out[n++] = block[p + 2];
+        if (n < size) out[n++] = block[p + 3];
+      }
+    }
+  } else if (encoding === 2) {
+    // Blocks: 0, length, literal bytes — or len code, count, pattern of 2^code bytes
+    let p = 0;
+    while (n < size && p + 2 <= block.length) {
+      const code = block[p];
+      const count = block[p + 1];
+      p += 2;
+      if (code === 0) {
+        const take = Math.min(count, size - n, block.length - p);
+        block.copy(out, n, p, p + take);
+        n += take;
+        p += count;
+      } else {
+        const len = 1 << code;
+        const pattern = block.slice(p, p + len);
+        p += len;
+        for (let k = 0; k < count && n < size; k++) {
+          const take = Math.min(len, size - n);
+          pattern.copy(out, n, 0, take);
+          n += take;
+        }
+      }
+    }
+  } else {
+    throw new Error(`Unknown TD0 sector encoding ${encoding}`);
+  }
+
+  return { data: out, short: n < size };
+}
+
+function parseTD0(buf) {
+  if (!isTD0(buf)) throw new Error('Not a Teledisk image');
+
+  const advanced = buf[0] === 0x74; // 't'
+  const version = buf[4];
+  const dataRateByte = buf[5];
+  const driveType = buf[6];
+  const stepping = buf[7];
+
+  if (advanced && version < 20) {
+    throw new Error(`Teledisk ${version / 10} advanced compression is not supported`);
+  }
+
+  const body = advanced ? decompress(buf.slice(12)) : buf.slice(12);
+  let off = 0;
+
+  let comment = null;
+  let date = null;
+  if (stepping & 0x80) {
+    if (body.length < 10) throw new Error('TD0 comment block truncated');
+    const len = body.readUInt16LE(2);
+    const [year, month, day, hour, min, sec] = body.slice(4, 10);
+    const pad = (v) => String(v).padStart(2, '0');
+    date = `${1900 + year}-${pad(month + 1)}-${pad(day)} ${pad(hour)}:${pad(min)}:${pad(sec)}`;
+    comment = body.slice(10, 10 + len).toString('latin1')
+      .split('\0').join('\n').replace(/\s+$/, '') || null;
+    off = 10 + len;
+  }
+
+  const globalFM = !!(dataRateByte & 0x80);
+  const rate = DATA_RATES[dataRateByte & 0x7F] || 250;
+  const decoded = [];
+
+  while (off < body.length) {
+    const count = body[off];
+    if (count === 0xFF) break;
+    if (off + 4 > body.length) throw new Error(`TD0 track header truncated at offset ${off}`);
+    const cyl = body[off + 1];
+    const headByte = body[off + 2];
+    off += 4;
+
+    const sectors = [];
+    for (let i = 0; i < count; i++) {
+      if (off + 6 > body.length) throw new Error(`TD0 sector header truncated at cylinder ${cyl}`);
+      const [C, H, R, N, flags] = body.slice(off, off + 5);
+      off += 6;
+
+      let data = null;
+      let short = false;
+      if (!(flags & (SF_SKIPPED | SF_NO_DATA)) && N <= 6) {
+        if (off + 3 > body.length) throw new Error(`TD0 sector data truncated at cylinder ${cyl}`);
+        const len = body.readUInt16LE(off);
+        const encoding = body[off + 2];
+        const block = body.slice(off + 3, off + 2 + len);
+        off += 2 + len;
+        ({ data, short } = decodeSectorData(block, encoding, 128 << N));
+      }
+
+      let ST1 = 0;
+      let ST2 = 0;
+      if (flags & SF_CRC_ERROR) { ST1 |= 0x20; ST2 |= 0x20; }
+      if (flags & SF_NO_DATA) { ST1 |= 0x01; ST2 |= 0x01; }
+      if (flags & SF_NO_ID) ST1 |= 0x01;
+      if (flags & SF_DELETED) ST2 |= 0x40;
+
+      const sec = { C, H, R, N, ST1, ST2, data, td0Flags: flags };
+      if (flags & SF_DUPLICATE) sec.duplicate = true;
+      if (flags & SF_SKIPPED) sec.skipped = true;
+      if (short) sec.truncated = true;
+      sectors.push(sec);
+    }
+
+    const fm = globalFM || !!(headByte & 0x80);
+    decoded.push({
+      track: cyl,
+      side: headByte & 0x01,
+      encoding: fm ? 'FM' : 'MFM',
+      recMode: fm ? 1 : 2,
+      dataRate: rate === 500 ? 2 : 1,
+      sectors,
+    });
+  }
+
+  return buildDisk('TD0', decoded, {
+    imageInfo: {
+      version: `${Math.floor(version / 10)}.${version % 10}`,
+      compression: advanced ? 'advanced (LZHUF)' : 'none',
+      dataRate: `${rate} kbps`,
+      driveType: DRIVE_TYPES[driveType] || driveType,
+      date,
+      comment,
+    },
+  });
+}
+
+module.exports = {
+  isTD0,
+  parseTD0,
+};
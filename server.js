@@ -6,6 +6,17 @@ const path = require('path');
 const { execFile } = require('child_process');
 const { WebSocketServer } = require('ws');
 const edsk = require('./lib/edsk-parser');
+const convert = require('./lib/convert');
+const filesystems = require('./lib/filesystems');
+const fileView = require('./lib/file-view');
+const fatWriter = require('./lib/fat-writer');
+const carve = require('./lib/carve');
+const fsck = require('./lib/fsck');
+const { analyzeBootSector } = require('./lib/boot-sector');
+const disasm = require('./lib/disassembler');
+const sectorEdit = require('./lib/sector-edit');
+const { diffDisks } = require('./lib/disk-diff');
+const { mergeReads } = require('./lib/merge');
 const gw = require('./lib/greaseweazle');
 
 const PORT = process.env.PORT || 3141;
@@ -79,6 +90,9 @@ function pickFolder(prompt, defaultLocation) {
 // Ensure default disks directory exists
 if (!fs.existsSync(DEFAULT_DISKS_DIR)) fs.mkdirSync(DEFAULT_DISKS_DIR, { recursive: true });
 
+// Disk image file extensions shown in the library
+const DISK_EXT = /\.(e?dsk|img|ima|scp|hfe|imd|td0|st|msa|adf)$/i;
+
 // MIME types
 const MIME = {
   '.html': 'text/html',
@@ -113,13 +127,113 @@ function loadDisk(name) {
   }
 }
 
+// Boot sector analysis of a loaded disk, worked out once per cache entry
+function bootAnalysis(loaded) {
+  if (!('bootSector' in loaded)) loaded.bootSector = analyzeBootSector(loaded.buf, loaded.disk);
+  return loaded.bootSector;
+}
+
+// Copy a disk image into backups/ (inside the disks directory) before it is
+// overwritten. The copy keeps its extension so it still opens:
+// backups/<name>.<timestamp>.<ext>
+function backupDisk(name) {
+  const src = path.join(getDisksDir(), name);
+  if (!fs.existsSync(src)) return null;
+  const dir = path.join(getDisksDir(), 'backups');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const ext = path.extname(name);
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  let backup = `${path.basename(name, ext)}.${stamp}${ext}`;
+  for (let n = 2; fs.existsSync(path.join(dir, backup)); n++) {
+    backup = `${path.basename(name, ext)}.${stamp}-${n}${ext}`;
+  }
+  fs.copyFileSync(src, path.join(dir, backup));
+  return path.join('backups', backup);
+}
+
+// A file name in the disks directory that isn't taken yet: `name`, or
+// <base>-2.<ext>, <base>-3.<ext>, ...
+function unusedName(name) {
+  const ext = path.extname(name);
+  let candidate = name;
+  for (let n = 2; fs.existsSync(path.join(getDisksDir(), candidate)); n++) {
+    candidate = `${path.basename(name, ext)}-${n}${ext}`;
+  }
+  return candidate;
+}
+
+// Apply an edit to a copy of the image and save the result. The response
+// names the disk that was written, which differs from `name` when the source
+// format can't be written back (see convert.serializeImage); that copy never
+// replaces an existing file but gets a name of its own. With `backup`
+// the file about to be replaced is kept in backups/ first. Edits are FAT
+// edits unless `anyFilesystem` is set; an edit that changes the disk model
+// itself (sector status flags) returns the new one as `model`.
+function editDisk(name, edit, { backup = false, anyFilesystem = false } = {}) {
+  const loaded = loadDisk(name);
+  if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+  if (!anyFilesystem && loaded.disk.filesystem?.type !== 'FAT') {
+    return { status: 400, body: { error: 'Only FAT disks can be written' } };
+  }
+
+  const buf = Buffer.from(loaded.buf);
+  let result;
+  try {
+    result = edit(buf, loaded.disk);
+  } catch (e) {
+    return { status: 400, body: { error: e.message } };
+  }
+  const { model = loaded.disk, ...response } = result;
+
+  const out = convert.serializeImage(buf, model, name);
+  if (out.name !== name) out.name = unusedName(out.name);
+  const backupName = backup ? backupDisk(out.name) : null;
+  fs.writeFileSync(path.join(getDisksDir(), out.name), out.data);
+  diskCache.delete(out.name);
+  return { ...response, disk: out.name, ...(backup ? { backup: backupName } : {}) };
+}
+
+// Background jobs for work that takes too long for one request (merging
+// reads). The route starts the job and returns its id; the UI polls
+// GET /api/jobs/:id for progress and the result. A finished job is dropped
+// once its result has been read, or after JOB_TTL if nobody asks.
+const jobs = new Map();
+let nextJobId = 1;
+const JOB_TTL = 10 * 60 * 1000;
+
+function startJob(type, run) {
+  const job = { id: String(nextJobId++), type, state: 'running', progress: { done: 0, total: 0 }, result: null, error: null };
+  jobs.set(job.id, job);
+  run((done, total) => { job.progress = { done, total }; })
+    .then((result) => { job.state = 'done'; job.result = result; })
+    .catch((e) => { job.state = 'error'; job.error = e.message; })
+    .finally(() => setTimeout(() => jobs.delete(job.id), JOB_TTL).unref());
+  return job;
+}
+
+// Disassemble code from a disk: ?cpu=x86|z80 (default from the filesystem)
+// and ?origin= in hex. layoutFor(cpu) gives the bytes, default origin and
+// entry point (see disassembler.sectorLayout / fileLayout).
+function disassembleFor(disk, query, layoutFor) {
+  const cpu = query.cpu || disasm.defaultCpu(disk);
+  if (!disasm.CPUS[cpu]) return { status: 400, body: { error: 'Unknown CPU (x86 or z80)' } };
+  const origin = query.origin ? parseInt(query.origin, 16) : null;
+  if (Number.isNaN(origin)) return { status: 400, body: { error: 'Invalid origin' } };
+  try {
+    return disasm.disassembleAt(layoutFor(cpu), cpu, origin);
+  } catch (e) {
+    return { status: 400, body: { error: e.message } };
+  }
+}
+
 // API handlers
 const api = {
   // List all disk images
   'GET /api/disks': () => {
     const disksDir = getDisksDir();
     if (!fs.existsSync(disksDir)) return [];
-    const files = fs.readdirSync(disksDir).filter(f => /\.(e?dsk|img|ima)$/i.test(f)).sort();
+    const files = fs.readdirSync(disksDir).filter(f => DISK_EXT.test(f)).sort();
     return files.map(name => {
       const stat = fs.statSync(path.join(disksDir, name));
       const loaded = loadDisk(name);
@@ -133,10 +247,76 @@ const api = {
         tracks: loaded?.disk?.tracks || null,
         sides: loaded?.disk?.sides || null,
         filesystem: loaded?.disk?.filesystem || null,
+        infected: !!(loaded?.disk && bootAnalysis(loaded)?.infected),
       };
     });
   },
 
+  // Compare two images track by track (and file by file when both are FAT)
+  'GET /api/diff': (params, query) => {
+    if (!query.a || !query.b) return { status: 400, body: { error: 'Missing a/b params' } };
+    const a = loadDisk(query.a);
+    const b = loadDisk(query.b);
+    for (const [name, loaded] of [[query.a, a], [query.b, b]]) {
+      if (!loaded || loaded.error) return { status: 404, body: { error: `Disk not found: ${name}` } };
+    }
+    return { a: query.a, b: query.b, ...diffDisks(a, b) };
+  },
+
+  // Merge several reads of one disk into a new EDSK, taking each sector from
+  // a clean read. Body: { sources: [names], name }. Runs as a job; the image
+  // is saved with a <name>.provenance.json report next to it.
+  'POST /api/merge': (params, query, body) => {
+    let req;
+    try {
+      req = JSON.parse(body.toString() || '{}');
+    } catch {
+      return { status: 400, body: { error: 'Invalid JSON body' } };
+    }
+    const sources = Array.isArray(req.sources) ? [...new Set(req.sources)] : [];
+    if (sources.length < 2) return { status: 400, body: { error: 'Select at least two reads to merge' } };
+    const reads = [];
+    for (const name of sources) {
+      const loaded = loadDisk(name);
+      if (!loaded || loaded.error) return { status: 404, body: { error: `Disk not found: ${name}` } };
+      reads.push({ name, buf: loaded.buf, disk: loaded.disk });
+    }
+
+    const name = req.name || `${path.basename(sources[0], path.extname(sources[0]))}.merged.edsk`;
+    if (name !== path.basename(name) || !/\.edsk$/i.test(name)) {
+      return { status: 400, body: { error: 'Output name must be a .edsk file name' } };
+    }
+    const outPath = path.join(getDisksDir(), name);
+    if (fs.existsSync(outPath)) return { status: 409, body: { error: `${name} already exists` } };
+
+    const job = startJob('merge', async (onProgress) => {
+      const { data, report } = await mergeReads(reads, { onProgress });
+      const reportName = `${name}.provenance.json`;
+      fs.writeFileSync(outPath, data);
+      fs.writeFileSync(path.join(getDisksDir(), reportName),
+        JSON.stringify({ name, created: new Date().toISOString(), ...report }, null, 2));
+      diskCache.delete(name);
+      // The per-sector report stays on disk (GET /api/disk/:name/provenance)
+      return { disk: name, report: reportName, summary: report.summary };
+    });
+    return { job: job.id };
+  },
+
+  // Progress and result of a background job
+  'GET /api/jobs/:id': (params) => {
+    const job = jobs.get(params.id);
+    if (!job) return { status: 404, body: { error: 'Job not found' } };
+    if (job.state !== 'running') jobs.delete(job.id);
+    return job;
+  },
+
+  // Provenance report saved next to a merged image
+  'GET /api/disk/:name/provenance': (params) => {
+    const reportPath = path.join(getDisksDir(), `${path.basename(params.name)}.provenance.json`);
+    if (!fs.existsSync(reportPath)) return { status: 404, body: { error: 'No provenance report for this disk' } };
+    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  },
+
   // Get full disk info
   'GET /api/disk/:name': (params) => {
     const loaded = loadDisk(params.name);
@@ -150,13 +330,17 @@ const api = {
       creator: disk.creator,
       tracks: disk.tracks,
       sides: disk.sides,
+      geometry: disk.geometry || null,
+      imageInfo: disk.imageInfo || null,
       filesystem: disk.filesystem,
+      bootSector: bootAnalysis(loaded),
       trackIndex: disk.trackIndex.map(t => ({
         track: t.track,
         side: t.side,
         missing: t.missing,
         sectorCount: t.sectorCount || 0,
         size: t.size,
+        encoding: t.encoding || null,
         sectors: (t.sectors || []).map(s => ({
           index: s.index,
           C: s.C, H: s.H, R: s.R, N: s.N,
@@ -165,12 +349,15 @@ const api = {
           hasError: s.hasError,
           errorFlags: s.errorFlags,
           truncated: s.truncated || false,
+          revs: s.revs || null,
+          copies: s.copies || 1,
+          weakBytes: s.weakBytes ? s.weakBytes.length : 0,
         })),
       })),
     };
   },
 
-  // Get sector hex data
+  // Get sector hex data (copy=N picks one stored copy of a weak sector)
   'GET /api/disk/:name/sector': (params, query) => {
     const loaded = loadDisk(params.name);
     if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
@@ -178,13 +365,17 @@ const api = {
     const track = parseInt(query.track);
     const side = parseInt(query.side);
     const sectorR = parseInt(query.r);
-    if (isNaN(track) || isNaN(side) || isNaN(sectorR)) {
+    const copy = query.copy ? parseInt(query.copy) : 0;
+    if (isNaN(track) || isNaN(side) || isNaN(sectorR) || isNaN(copy)) {
       return { status: 400, body: { error: 'Missing track/side/r params' } };
     }
 
-    const data = edsk.readSectorData(loaded.buf, loaded.disk, track, side, sectorR);
+    const data = edsk.readSectorData(loaded.buf, loaded.disk, track, side, sectorR, copy);
     if (!data) return { status: 404, body: { error: 'Sector not found' } };
 
+    const trk = loaded.disk.trackIndex.find(t => t.track === track && t.side === side);
+    const sec = trk.sectors.find(s => s.R === sectorR);
+
     // Return hex + ascii dump
     const lines = [];
     for (let i = 0; i < data.length; i += 16) {
@@ -198,17 +389,122 @@ const api = {
       });
     }
 
-    return { size: data.length, lines, raw: data.toString('base64') };
+    return {
+      size: data.length,
+      lines,
+      raw: data.toString('base64'),
+      copy,
+      copies: sec.copies || 1,
+      weakBytes: sec.weakBytes || [],
+      st1: sec.ST1 || 0,
+      st2: sec.ST2 || 0,
+    };
+  },
+
+  // Write edited sector data (request body) back into the image:
+  // ?track=&side=&r=&copy=, plus st1=&st2= (hex) to set the FDC status flags.
+  // The previous version of the image is kept in backups/.
+  'POST /api/disk/:name/sector': (params, query, body) => {
+    const track = parseInt(query.track);
+    const side = parseInt(query.side);
+    const sectorR = parseInt(query.r);
+    const copy = query.copy ? parseInt(query.copy) : 0;
+    if (isNaN(track) || isNaN(side) || isNaN(sectorR) || isNaN(copy)) {
+      return { status: 400, body: { error: 'Missing track/side/r params' } };
+    }
+    const status = query.st1 != null || query.st2 != null
+      ? { st1: parseInt(query.st1 || '0', 16), st2: parseInt(query.st2 || '0', 16) } : null;
+    return editDisk(params.name, (buf, disk) =>
+      sectorEdit.writeSector(buf, disk, { track, side, r: sectorR, copy }, body || Buffer.alloc(0), status),
+    { backup: true, anyFilesystem: true });
   },
 
-  // Get directory listing (FAT disks)
+  // Disassemble a sector: ?track=&side=&r=&copy=&cpu=&origin=. Boot sectors
+  // start at their load address and entry point.
+  'GET /api/disk/:name/disasm': (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+
+    const track = parseInt(query.track);
+    const side = parseInt(query.side);
+    const sectorR = parseInt(query.r);
+    const copy = query.copy ? parseInt(query.copy) : 0;
+    if (isNaN(track) || isNaN(side) || isNaN(sectorR) || isNaN(copy)) {
+      return { status: 400, body: { error: 'Missing track/side/r params' } };
+    }
+    const data = edsk.readSectorData(loaded.buf, loaded.disk, track, side, sectorR, copy);
+    if (!data) return { status: 404, body: { error: 'Sector not found' } };
+
+    return disassembleFor(loaded.disk, query, (cpu) =>
+      ({ data, ...disasm.sectorLayout(loaded.disk, track, side, sectorR, cpu) }));
+  },
+
+  // Get directory listing (FAT, AmigaDOS and CP/M disks)
   'GET /api/disk/:name/files': (params) => {
     const loaded = loadDisk(params.name);
     if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
-    if (loaded.disk.filesystem?.type !== 'FAT') {
-      return { status: 400, body: { error: 'Not a FAT filesystem' } };
+    if (!filesystems.hasFiles(loaded.disk)) {
+      return { status: 400, body: { error: 'No supported filesystem' } };
     }
-    return edsk.readFATDirectory(loaded.buf, loaded.disk, loaded.disk.filesystem);
+    return filesystems.listFiles(loaded.buf, loaded.disk);
+  },
+
+  // Add a file (request body) to a FAT directory: ?dir=&name=
+  'POST /api/disk/:name/files': (params, query, body) => {
+    if (!query.name) return { status: 400, body: { error: 'Missing name' } };
+    return editDisk(params.name, (buf, disk) =>
+      fatWriter.addFile(buf, disk, query.dir || '', query.name, body || Buffer.alloc(0)));
+  },
+
+  // Delete a file or empty directory: ?path=
+  'DELETE /api/disk/:name/files': (params, query) => {
+    return editDisk(params.name, (buf, disk) => fatWriter.deleteEntry(buf, disk, query.path));
+  },
+
+  // Rename a file or directory in place: ?path=&to=
+  'POST /api/disk/:name/rename': (params, query) => {
+    if (!query.to) return { status: 400, body: { error: 'Missing new name' } };
+    return editDisk(params.name, (buf, disk) => fatWriter.renameEntry(buf, disk, query.path, query.to));
+  },
+
+  // Create a directory: ?dir=&name=
+  'POST /api/disk/:name/mkdir': (params, query) => {
+    if (!query.name) return { status: 400, body: { error: 'Missing name' } };
+    return editDisk(params.name, (buf, disk) => fatWriter.makeDirectory(buf, disk, query.dir || '', query.name));
+  },
+
+  // Decode a file for the viewer: platform header, BASIC listing, text or hex
+  'GET /api/disk/:name/view-file': (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error || !filesystems.hasFiles(loaded.disk)) {
+      return { status: 404, body: { error: 'Disk not found or no supported filesystem' } };
+    }
+    const cluster = parseInt(query.cluster);
+    const size = parseInt(query.size);
+    if (isNaN(cluster) || isNaN(size) || cluster < 2) {
+      return { status: 400, body: { error: 'Invalid cluster/size' } };
+    }
+    const data = filesystems.readFile(loaded.buf, loaded.disk, cluster, size);
+    if (!data) return { status: 404, body: { error: 'Could not read file data' } };
+    return { size: data.length, ...fileView.viewFile(data, loaded.disk.filesystem) };
+  },
+
+  // Disassemble a program file: ?cluster=&size=&cpu=&origin=. EXE, COM and
+  // headered 8-bit files start at their own load address and entry point.
+  'GET /api/disk/:name/disasm-file': (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error || !filesystems.hasFiles(loaded.disk)) {
+      return { status: 404, body: { error: 'Disk not found or no supported filesystem' } };
+    }
+    const cluster = parseInt(query.cluster);
+    const size = parseInt(query.size);
+    if (isNaN(cluster) || isNaN(size) || cluster < 2) {
+      return { status: 400, body: { error: 'Invalid cluster/size' } };
+    }
+    const data = filesystems.readFile(loaded.buf, loaded.disk, cluster, size);
+    if (!data) return { status: 404, body: { error: 'Could not read file data' } };
+
+    return disassembleFor(loaded.disk, query, (cpu) => disasm.fileLayout(data, loaded.disk.filesystem, cpu));
   },
 
   // Get deleted files (FAT disks)
@@ -246,6 +542,70 @@ const api = {
     return { saved: true, path: savePath };
   },
 
+  // Files on sectors that didn't read cleanly, and the tracks to re-read
+  'GET /api/disk/:name/damaged': (params) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+    if (loaded.disk.filesystem?.type !== 'FAT') {
+      return { status: 400, body: { error: 'Not a FAT filesystem' } };
+    }
+    return edsk.readDamagedFiles(loaded.buf, loaded.disk, loaded.disk.filesystem);
+  },
+
+  // Filesystem check (FAT disks): findings with the clusters and sectors
+  // they concern and whether those sectors read cleanly
+  'GET /api/disk/:name/fsck': (params) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+    if (loaded.disk.filesystem?.type !== 'FAT') {
+      return { status: 400, body: { error: 'Not a FAT filesystem' } };
+    }
+    return fsck.checkFAT(loaded.buf, loaded.disk, loaded.disk.filesystem);
+  },
+
+  // Files carved from free clusters (FAT disks)
+  'GET /api/disk/:name/carved': (params) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+    if (loaded.disk.filesystem?.type !== 'FAT') {
+      return { status: 400, body: { error: 'Not a FAT filesystem' } };
+    }
+    return carve.carveFreeSpace(loaded.buf, loaded.disk, loaded.disk.filesystem);
+  },
+
+  // Save a carved file with native save dialog: ?cluster=&name=
+  'GET /api/disk/:name/recover-carved': async (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error || loaded.disk.filesystem?.type !== 'FAT') {
+      return { status: 404, body: { error: 'Disk not found or not FAT' } };
+    }
+    const cluster = parseInt(query.cluster);
+    if (isNaN(cluster) || cluster < 2) return { status: 400, body: { error: 'Invalid cluster' } };
+    const carved = carve.readCarvedFile(loaded.buf, loaded.disk, loaded.disk.filesystem, cluster);
+    if (!carved) return { status: 404, body: { error: 'Nothing carved at that cluster' } };
+
+    let savePath;
+    try {
+      savePath = await pickSaveFile(path.basename(query.name || carved.item.name), loadConfig().disksDir);
+    } catch {
+      return { cancelled: true };
+    }
+    fs.writeFileSync(savePath, carved.data);
+    return { saved: true, path: savePath };
+  },
+
+  // Undelete a file into the image: ?cluster=&size=&char=&dir=. The previous
+  // version of the image is kept in backups/.
+  'POST /api/disk/:name/undelete': (params, query) => {
+    const cluster = parseInt(query.cluster);
+    const size = parseInt(query.size);
+    if (isNaN(cluster) || isNaN(size) || cluster < 2) {
+      return { status: 400, body: { error: 'Invalid cluster/size' } };
+    }
+    return editDisk(params.name, (buf, disk) =>
+      fatWriter.undeleteFile(buf, disk, query.dir || '', cluster, size, query.char || '_'), { backup: true });
+  },
+
   // Config
   'GET /api/config': () => {
     return { ...loadConfig(), version: PKG_VERSION };
@@ -292,8 +652,8 @@ const api = {
   // Save a single file with native save dialog
   'GET /api/disk/:name/save-file': async (params, query) => {
     const loaded = loadDisk(params.name);
-    if (!loaded || loaded.error || loaded.disk.filesystem?.type !== 'FAT') {
-      return { status: 404, body: { error: 'Disk not found or not FAT' } };
+    if (!loaded || loaded.error || !filesystems.hasFiles(loaded.disk)) {
+      return { status: 404, body: { error: 'Disk not found or no supported filesystem' } };
     }
     const cluster = parseInt(query.cluster);
     const size = parseInt(query.size);
@@ -301,9 +661,20 @@ const api = {
     if (isNaN(cluster) || isNaN(size) || cluster < 2) {
       return { status: 400, body: { error: 'Invalid cluster/size' } };
     }
-    const data = edsk.readFileData(loaded.buf, loaded.disk, loaded.disk.filesystem, cluster, size);
+    let data = filesystems.readFile(loaded.buf, loaded.disk, cluster, size);
     if (!data) return { status: 404, body: { error: 'Could not read file data' } };
 
+    // as=stripped drops the platform file header, as=listing saves the viewer text
+    if (query.as === 'stripped') {
+      data = fileView.stripHeader(data, loaded.disk.filesystem);
+    } else if (query.as === 'listing') {
+      const view = fileView.viewFile(data, loaded.disk.filesystem);
+      if (view.kind !== 'basic' && view.kind !== 'text') {
+        return { status: 400, body: { error: 'File has no text listing' } };
+      }
+      data = Buffer.from(view.text + '\n', 'latin1');
+    }
+
     let savePath;
     try {
       savePath = await pickSaveFile(path.basename(filename), loadConfig().disksDir);
@@ -314,6 +685,57 @@ const api = {
     return { saved: true, path: savePath };
   },
 
+  // Export the disk image in another format with native save dialog.
+  // Raw image exports get a .report.json sidecar listing padded sectors.
+  'GET /api/disk/:name/save-export': async (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+    const format = (query.format || '').toLowerCase();
+    if (!convert.FORMATS.includes(format)) {
+      return { status: 400, body: { error: 'Invalid format (edsk, dsk or img)' } };
+    }
+
+    let result;
+    try {
+      result = convert.exportImage(loaded.buf, loaded.disk, format);
+    } catch (e) {
+      return { status: 400, body: { error: e.message } };
+    }
+
+    let savePath;
+    try {
+      savePath = await pickSaveFile(convert.exportName(params.name, format), loadConfig().disksDir);
+    } catch {
+      return { cancelled: true };
+    }
+    fs.writeFileSync(savePath, result.data);
+
+    let reportPath = null;
+    if (result.report && result.report.padded.length > 0) {
+      reportPath = savePath + '.report.json';
+      fs.writeFileSync(reportPath, JSON.stringify({ source: params.name, ...result.report }, null, 2));
+    }
+    return { saved: true, path: savePath, reportPath, padded: result.report ? result.report.padded.length : 0 };
+  },
+
+  // Padding report of a raw image export, for downloads through /export
+  'GET /api/disk/:name/export-report': (params, query) => {
+    const loaded = loadDisk(params.name);
+    if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
+    const format = (query.format || 'img').toLowerCase();
+    if (!convert.FORMATS.includes(format)) {
+      return { status: 400, body: { error: 'Invalid format (edsk, dsk or img)' } };
+    }
+    let result;
+    try {
+      result = convert.exportImage(loaded.buf, loaded.disk, format);
+    } catch (e) {
+      return { status: 400, body: { error: e.message } };
+    }
+    if (!result.report) return { status: 404, body: { error: 'Only raw image exports have a padding report' } };
+    return { source: params.name, ...result.report };
+  },
+
   // Greaseweazle device info
   'GET /api/gw/info': async () => {
     if (gw.isBusy()) return { connected: true, busy: true, note: 'Device busy — read in progress' };
@@ -336,12 +758,12 @@ const api = {
     }
   },
 
-  // Download all files from a FAT disk — show folder picker, save to chosen dir
+  // Download all files from a disk — show folder picker, save to chosen dir
   'GET /api/disk/:name/download-all': async (params) => {
     const loaded = loadDisk(params.name);
     if (!loaded || loaded.error) return { status: 404, body: { error: 'Disk not found' } };
-    if (loaded.disk.filesystem?.type !== 'FAT') {
-      return { status: 400, body: { error: 'Not a FAT filesystem' } };
+    if (!filesystems.hasFiles(loaded.disk)) {
+      return { status: 400, body: { error: 'No supported filesystem' } };
     }
 
     let dlDir;
@@ -351,11 +773,11 @@ const api = {
       return { cancelled: true };
     }
 
-    const files = edsk.readFATDirectory(loaded.buf, loaded.disk, loaded.disk.filesystem);
+    const files = filesystems.listFiles(loaded.buf, loaded.disk);
     let savedCount = 0;
     for (const f of files) {
       if (f.isDir || f.isVolumeLabel || f.size === 0 || f.cluster < 2) continue;
-      const data = edsk.readFileData(loaded.buf, loaded.disk, loaded.disk.filesystem, f.cluster, f.size);
+      const data = filesystems.readFile(loaded.buf, loaded.disk, f.cluster, f.size);
       if (!data) continue;
 
       const filePath = f.path || f.name;
@@ -372,19 +794,19 @@ const api = {
   // Cross-disk file search — returns all files (live + deleted) across all disks
   'GET /api/search': () => {
     const disksDir = getDisksDir();
-    if (!fs.existsSync(disksDir)) return { stats: { disks: 0, fatDisks: 0, files: 0, deleted: 0 }, files: [] };
+    if (!fs.existsSync(disksDir)) return { stats: { disks: 0, fsDisks: 0, files: 0, deleted: 0 }, files: [] };
 
-    const diskNames = fs.readdirSync(disksDir).filter(f => /\.(e?dsk|img|ima)$/i.test(f)).sort();
+    const diskNames = fs.readdirSync(disksDir).filter(f => DISK_EXT.test(f)).sort();
     const allFiles = [];
-    let fatDisks = 0;
+    let fsDisks = 0;
 
     for (const name of diskNames) {
       const loaded = loadDisk(name);
-      if (!loaded || loaded.error || loaded.disk?.filesystem?.type !== 'FAT') continue;
-      fatDisks++;
+      if (!loaded || loaded.error || !filesystems.hasFiles(loaded.disk)) continue;
+      fsDisks++;
 
       try {
-        const liveFiles = edsk.readFATDirectory(loaded.buf, loaded.disk, loaded.disk.filesystem);
+        const liveFiles = filesystems.listFiles(loaded.buf, loaded.disk);
         for (const f of liveFiles) {
           if (f.isDir || f.isVolumeLabel) continue;
           allFiles.push({
@@ -399,9 +821,13 @@ const api = {
         }
       } catch { /* skip */ }
 
+      // Deleted-file scanning is FAT only
+      if (loaded.disk.filesystem.type !== 'FAT') continue;
+
       try {
         const deletedFiles = edsk.readDeletedFiles(loaded.buf, loaded.disk, loaded.disk.filesystem);
         for (const f of deletedFiles) {
+          if (f.isDir) continue;
           allFiles.push({
             disk: name,
             name: f.name,
@@ -419,7 +845,7 @@ const api = {
 
     const deletedCount = allFiles.filter(f => f.deleted).length;
     return {
-      stats: { disks: diskNames.length, fatDisks, files: allFiles.length - deletedCount, deleted: deletedCount },
+      stats: { disks: diskNames.length, fsDisks, files: allFiles.length - deletedCount, deleted: deletedCount },
       files: allFiles,
     };
   },
@@ -434,6 +860,15 @@ const api = {
   },
 };
 
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
 // Route matching
 function matchRoute(method, pathname) {
   for (const [pattern, handler] of Object.entries(api)) {
@@ -476,9 +911,9 @@ const server = http.createServer(async (req, res) => {
     const filename = query.name || 'file.bin';
 
     const loaded = loadDisk(diskName);
-    if (!loaded || loaded.error || loaded.disk.filesystem?.type !== 'FAT') {
+    if (!loaded || loaded.error || !filesystems.hasFiles(loaded.disk)) {
       res.writeHead(404);
-      res.end('Disk not found or not FAT');
+      res.end('Disk not found or no supported filesystem');
       return;
     }
     if (isNaN(cluster) || isNaN(size) || cluster < 2) {
@@ -487,12 +922,13 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    const data = edsk.readFileData(loaded.buf, loaded.disk, loaded.disk.filesystem, cluster, size);
+    let data = filesystems.readFile(loaded.buf, loaded.disk, cluster, size);
     if (!data) {
       res.writeHead(404);
       res.end('Could not read file data');
       return;
     }
+    if (query.as === 'stripped') data = fileView.stripHeader(data, loaded.disk.filesystem);
 
     res.writeHead(200, {
       'Content-Type': 'application/octet-stream',
@@ -504,6 +940,44 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Image export (binary - outside JSON API)
+  const exMatch = pathname.match(/^\/api\/disk\/([^/]+)\/export$/);
+  if (exMatch && req.method === 'GET') {
+    const diskName = decodeURIComponent(exMatch[1]);
+    const format = (parsed.searchParams.get('format') || '').toLowerCase();
+
+    const loaded = loadDisk(diskName);
+    if (!loaded || loaded.error) {
+      res.writeHead(404);
+      res.end('Disk not found');
+      return;
+    }
+    if (!convert.FORMATS.includes(format)) {
+      res.writeHead(400);
+      res.end('Invalid format (edsk, dsk or img)');
+      return;
+    }
+
+    let result;
+    try {
+      result = convert.exportImage(loaded.buf, loaded.disk, format);
+    } catch (e) {
+      res.writeHead(400);
+      res.end(e.message);
+      return;
+    }
+
+    const filename = convert.exportName(diskName, format);
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${filename.replace(/"/g, '_')}"`,
+      'Content-Length': result.data.length,
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(result.data);
+    return;
+  }
+
   // POST /api/config — body parsing for JSON config updates
   if (req.method === 'POST' && pathname === '/api/config') {
     const chunks = [];
@@ -535,7 +1009,8 @@ const server = http.createServer(async (req, res) => {
 
     try {
       const query = Object.fromEntries(parsed.searchParams);
-      let result = route.handler(route.params, query);
+      const reqBody = req.method === 'POST' ? await readBody(req) : null;
+      let result = route.handler(route.params, query, reqBody);
       if (result instanceof Promise) result = await result;
 
       const status = result?.status || 200;
@@ -571,7 +1046,7 @@ const server = http.createServer(async (req, res) => {
         const fnMatch = part.match(/filename="([^"]+)"/);
         if (!fnMatch) continue;
         const filename = path.basename(fnMatch[1]);
-        if (!/\.(e?dsk|img|ima)$/i.test(filename)) continue;
+        if (!DISK_EXT.test(filename)) continue;
 
         const headerEnd = part.indexOf('\r\n\r\n');
         if (headerEnd === -1) continue;
@@ -700,7 +1175,7 @@ function watchDisksDir() {
   console.log('[watch] Watching', dir);
   try {
     dirWatcher = fs.watch(dir, (event, filename) => {
-      if (!filename || !/\.(e?dsk|img|ima)$/i.test(filename)) return;
+      if (!filename || !DISK_EXT.test(filename)) return;
       // Debounce rapid changes (e.g. file being written)
       clearTimeout(debounceTimer);
       debounceTimer = setTimeout(() => {